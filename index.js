@@ -1,20 +1,56 @@
 #!/usr/bin/env node
 
+import { config, configProblems, configFilePath } from './src/config.js';
+import { maskConfig } from './src/config-schema.js';
 import { logger } from './src/logger.js';
-import { config } from './src/config.js';
-import { submitHGTVEntry } from './src/hgtv-entry.js';
-import { submitFoodNetworkEntry } from './src/food-network-entry.js';
+import { sweepstakes } from './src/sweepstakes.js';
+import { submitWayinEntry } from './src/wayin-entry.js';
+import { runBatch } from './src/browser.js';
 import { startScheduler, testScheduler } from './src/scheduler.js';
+import { showHistory, showStats, exportHistory } from './src/history-commands.js';
+import { writeReport } from './src/run-report.js';
+import { showRunLogs } from './src/log-commands.js';
+import { acceptFormSchema } from './src/form-schema.js';
+import { discoverSweepstakes, resolveSweepstakes } from './src/discovery.js';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
+const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
 const flags = {
     manual: args.includes('--manual'),
     dryRun: args.includes('--dry-run'),
     testSchedule: args.includes('--test-schedule'),
-    site: args.find(arg => arg.startsWith('--site='))?.split('=')[1] || 'both'
+    history: args.includes('--history'),
+    stats: args.includes('--stats'),
+    export: option('export'),
+    report: args.includes('--report'),
+    logs: args.includes('--logs'),
+    run: option('run'),
+    acceptSchema: args.includes('--accept-schema'),
+    discover: args.includes('--discover'),
+    checkConfig: args.includes('--check-config'),
+    count: parseInt(option('count')) || 5,
+    site: option('site') || 'both',
+    since: option('since'),
+    output: option('output')
 };
 
+/**
+ * Log every configuration problem at once
+ * @returns {boolean} - Whether the configuration is valid
+ */
+function reportConfigProblems() {
+    if (configProblems.length === 0) {
+        return true;
+    }
+
+    logger.failure(`Found ${configProblems.length} configuration problem(s):`);
+    configProblems.forEach(problem => logger.error(`   - ${problem}`));
+    logger.info(`\nFix them in .env${configFilePath ? ` or ${configFilePath}` : ''} (see .env.example), ` +
+        'then check with: node index.js --check-config');
+    return false;
+}
+
 /**
  * Main entry point
  */
@@ -22,12 +58,100 @@ async function main() {
     logger.info('🎯 HGTV/Food Network Sweepstakes Automation');
     logger.info('==========================================\n');
 
+    // Show the resolved configuration with personal details masked
+    if (flags.checkConfig) {
+        logger.info(`⚙️  Configuration from .env${configFilePath ? ` and ${configFilePath}` : ''}:`);
+        JSON.stringify(maskConfig(config), null, 2).split('\n').forEach(line => logger.info(line));
+
+        const valid = reportConfigProblems();
+        if (valid) {
+            logger.success('Configuration is valid');
+        }
+        process.exit(valid ? 0 : 1);
+    }
+
     // Test scheduler configuration
     if (flags.testSchedule) {
-        await testScheduler();
+        const configValid = reportConfigProblems();
+        const valid = await testScheduler(flags.count);
+        process.exit(valid && configValid ? 0 : 1);
+    }
+
+    // History commands
+    if (flags.history || flags.stats || flags.export) {
+        const filters = { site: flags.site, since: flags.since };
+
+        try {
+            if (flags.history) {
+                await showHistory(filters);
+            }
+            if (flags.stats) {
+                await showStats(filters);
+            }
+            if (flags.export) {
+                await exportHistory(flags.export, { ...filters, output: flags.output });
+            }
+        } catch (error) {
+            logger.failure(error.message);
+            process.exit(1);
+        }
+        process.exit(0);
+    }
+
+    // One run's log lines
+    if (flags.logs) {
+        process.exit(showRunLogs(flags.run) ? 0 : 1);
+    }
+
+    // Self-contained HTML report of the runs and their artifacts
+    if (flags.report) {
+        try {
+            await writeReport({ site: flags.site, since: flags.since, output: flags.output });
+        } catch (error) {
+            logger.failure(error.message);
+            process.exit(1);
+        }
+        process.exit(0);
+    }
+
+    // Accept the form as it looks now as the new baseline
+    if (flags.acceptSchema) {
+        const sites = flags.site === 'both' ? Object.keys(sweepstakes) : [flags.site];
+
+        for (const site of sites) {
+            if (acceptFormSchema(site)) {
+                logger.success(`Accepted the current ${site} form as the new baseline`);
+            } else {
+                logger.warn(`No form snapshot for ${site} yet - run an entry (or --dry-run) first`);
+            }
+        }
+        process.exit(0);
+    }
+
+    // List the open sweepstakes on listing pages
+    if (flags.discover) {
+        for (const definition of Object.values(sweepstakes).filter(d => d.discover)) {
+            try {
+                const found = await discoverSweepstakes(definition);
+                logger.info(`\n${definition.name}: ${found.length} open sweepstakes`);
+
+                for (const { slug, title, url, endDate, allowed } of found) {
+                    logger.info(`${allowed ? '✅' : '⏭️ '} ${title}`);
+                    logger.info(`   ID: ${definition.id}-${slug}  Ends: ${endDate ? endDate.slice(0, 10) : 'unknown'}`);
+                    logger.info(`   ${url}`);
+                }
+            } catch (error) {
+                logger.failure(`${definition.name}: ${error.message}`);
+            }
+        }
         process.exit(0);
     }
 
+    // Everything below enters sweepstakes
+    if (!reportConfigProblems()) {
+        process.exit(1);
+    }
+
     // Manual entry mode
     if (flags.manual || flags.dryRun) {
         const isDryRun = flags.dryRun;
@@ -36,27 +160,37 @@ async function main() {
             logger.warn('🧪 Running in DRY RUN mode - entries will NOT be submitted\n');
         }
 
-        if (flags.site === 'hgtv' || flags.site === 'both') {
-            logger.info('Running HGTV entry...\n');
-            const success = await submitHGTVEntry(isDryRun);
+        const definitions = flags.site === 'both'
+            ? Object.values(sweepstakes)
+            : [sweepstakes[flags.site]];
 
-            if (success) {
-                logger.success('HGTV entry completed!\n');
-            } else {
-                logger.failure('HGTV entry failed!\n');
-            }
+        if (!definitions[0]) {
+            logger.failure(`Unknown site "${flags.site}". Use one of: ${Object.keys(sweepstakes).join(', ')}, both`);
+            process.exit(1);
         }
 
-        if (flags.site === 'foodnetwork' || flags.site === 'both') {
-            logger.info('Running Food Network entry...\n');
-            const success = await submitFoodNetworkEntry(isDryRun);
+        // One browser for discovery and every entry
+        await runBatch(definitions, async () => {
+            const entries = [];
+            for (const definition of definitions) {
+                try {
+                    entries.push(...await resolveSweepstakes(definition));
+                } catch (error) {
+                    logger.failure(`${definition.name}: could not discover open sweepstakes: ${error.message}`);
+                }
+            }
 
-            if (success) {
-                logger.success('Food Network entry completed!\n');
-            } else {
-                logger.failure('Food Network entry failed!\n');
+            for (const definition of entries) {
+                logger.info(`Running ${definition.name} entry...\n`);
+                const success = await submitWayinEntry(definition, isDryRun);
+
+                if (success) {
+                    logger.success(`${definition.name} entry completed!\n`);
+                } else {
+                    logger.failure(`${definition.name} entry failed!\n`);
+                }
             }
-        }
+        });
 
         logger.info('Manual run complete!');
         process.exit(0);
@@ -0,0 +1,228 @@
+import puppeteer from 'puppeteer';
+import { mkdirSync } from 'fs';
+import { join } from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+// Chromium flags for every browser we launch
+const launchArgs = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920,1080',
+    '--disable-blink-features=AutomationControlled'
+];
+
+/**
+ * Profile directory to launch the browser with: BROWSER_PROFILE_DIR, or
+ * with BROWSER_PERSISTENT_PROFILE one per entrant email in
+ * data/browser-profiles/
+ * @returns {string|null} - null for a throwaway profile
+ */
+export function profileDir() {
+    const { profileDir: dir, persistentProfile } = config.browser;
+
+    if (dir) {
+        return dir;
+    }
+
+    if (!persistentProfile) {
+        return null;
+    }
+
+    const entrant = String(config.personalInfo.email).toLowerCase().replace(/[^a-z0-9@.-]/g, '_');
+    return join(config.paths.browserProfiles, entrant);
+}
+
+/**
+ * Where to find an already-running Chrome, from BROWSER_WS_ENDPOINT or
+ * BROWSER_DEBUGGING_PORT (Chrome started with --remote-debugging-port)
+ * @returns {Object|null} - puppeteer.connect() target, or null to launch a browser
+ */
+export function connectTarget() {
+    const { wsEndpoint, debuggingPort } = config.browser;
+
+    if (wsEndpoint) {
+        return { browserWSEndpoint: wsEndpoint };
+    }
+
+    if (debuggingPort) {
+        return { browserURL: `http://127.0.0.1:${debuggingPort}` };
+    }
+
+    return null;
+}
+
+/**
+ * Connect to the running Chrome. Entries open their own tab in it, and
+ * a CAPTCHA can be solved there like any other page.
+ * @param {Object} target - From connectTarget()
+ * @param {Object} definition - Sweepstakes definition
+ * @returns {Promise<Browser>} - Puppeteer browser
+ */
+async function connectBrowser(target, definition) {
+    const where = target.browserWSEndpoint || target.browserURL;
+    logger.info(`Connecting to the running browser at ${where}...`);
+
+    let browser;
+    try {
+        browser = await puppeteer.connect({
+            ...target,
+            defaultViewport: null,
+            ...(definition.slowMo ? { slowMo: config.browser.slowMo } : {})
+        });
+    } catch (error) {
+        throw new Error(`Could not connect to a browser at ${where} - is Chrome running with ` +
+            `--remote-debugging-port? (${error.message})`);
+    }
+    logger.info('Connected to the running browser');
+
+    return browser;
+}
+
+/**
+ * Launch a browser configured for Wayin entries, or connect to the running
+ * one if BROWSER_WS_ENDPOINT or BROWSER_DEBUGGING_PORT is set
+ * @param {Object} definition - Sweepstakes definition
+ * @returns {Promise<Browser>} - Puppeteer browser
+ */
+export async function launchBrowser(definition) {
+    const target = connectTarget();
+    if (target) {
+        return connectBrowser(target, definition);
+    }
+
+    logger.info('Launching browser...');
+
+    const launchOptions = {
+        headless: config.browser.headless ? 'new' : false,
+        defaultViewport: null,
+        args: launchArgs,
+        ignoreDefaultArgs: ['--enable-automation']
+    };
+
+    if (definition.slowMo) {
+        launchOptions.slowMo = config.browser.slowMo;
+    }
+
+    if (config.browser.executablePath) {
+        launchOptions.executablePath = config.browser.executablePath;
+    }
+
+    // Keeps Wayin's returning-user state and consent cookies between days
+    const userDataDir = profileDir();
+    if (userDataDir) {
+        launchOptions.userDataDir = userDataDir;
+        mkdirSync(userDataDir, { recursive: true });
+    }
+
+    logger.info('Browser launch options configured');
+    let browser;
+    try {
+        browser = await puppeteer.launch(launchOptions);
+    } catch (error) {
+        if (userDataDir && /already running/i.test(error.message)) {
+            throw new Error(`Browser profile ${userDataDir} is in use by another browser - ` +
+                'close it or wait for the other run to finish');
+        }
+        throw error;
+    }
+    logger.info('Browser launched successfully');
+
+    return browser;
+}
+
+/**
+ * Close a browser we launched, or just disconnect from one we connected to
+ * @param {Browser} browser - Puppeteer browser
+ */
+async function closeBrowser(browser) {
+    if (connectTarget()) {
+        await browser.disconnect();
+        logger.info('Disconnected from the browser');
+    } else {
+        await browser.close();
+        logger.info('Browser closed');
+    }
+}
+
+// The browser in use: { browser (a promise), users }. Runs that overlap,
+// and the runs of a batch, share it.
+let session = null;
+
+/**
+ * Get the shared browser, launching one if no run is using it. Pair every
+ * call with releaseBrowser().
+ * @param {Object} definition - Sweepstakes definition (launch options if a browser is launched)
+ * @returns {Promise<Browser>}
+ */
+export async function acquireBrowser(definition) {
+    if (!session) {
+        const launching = { browser: launchBrowser(definition), users: 0 };
+        session = launching;
+        launching.browser.catch(() => {
+            if (session === launching) {
+                session = null;
+            }
+        });
+    }
+
+    const current = session;
+    current.users++;
+
+    try {
+        return await current.browser;
+    } catch (error) {
+        current.users--;
+        throw error;
+    }
+}
+
+/**
+ * Stop using the shared browser; the last user closes it (or disconnects)
+ */
+export async function releaseBrowser() {
+    const current = session;
+    current.users--;
+
+    if (current.users > 0) {
+        return;
+    }
+
+    session = null;
+    try {
+        await closeBrowser(await current.browser);
+    } catch (error) {
+        logger.warn(`Could not close the browser: ${error.message}`);
+    }
+}
+
+/**
+ * Run a batch of entries (and sweepstakes discovery) in one browser
+ * instead of launching one per entry. Does nothing special with
+ * BROWSER_BATCH=false; if the browser can't be launched, each entry tries
+ * (and records its failure) on its own.
+ * @param {Object[]} definitions - Sweepstakes in the batch (slowMo applies to all if any uses it)
+ * @param {Function} callback - async () => result
+ * @returns {Promise<*>} - What the callback returns
+ */
+export async function runBatch(definitions, callback) {
+    if (!config.browser.batch) {
+        return callback();
+    }
+
+    try {
+        await acquireBrowser({ slowMo: definitions.some(definition => definition.slowMo) });
+    } catch (error) {
+        logger.warn(`Could not launch a browser for the batch: ${error.message}`);
+        return callback();
+    }
+
+    try {
+        return await callback();
+    } finally {
+        await releaseBrowser();
+    }
+}
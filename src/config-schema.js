@@ -0,0 +1,323 @@
+import cron from 'node-cron';
+import { getZonedParts } from './timezone.js';
+
+/**
+ * Youngest age that may enter HGTV and Food Network sweepstakes
+ */
+export const MINIMUM_AGE = 21;
+
+// The 50 states and DC: who these sweepstakes are open to
+const usStates = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+    KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts',
+    MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+    NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico',
+    NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
+    OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+    TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington',
+    WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+/**
+ * Two-letter code for a state given as a code or a full name ("nc",
+ * "North Carolina"). Anything else is returned as given.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeState(value) {
+    const text = String(value ?? '').trim();
+    const code = text.toUpperCase();
+
+    if (usStates[code]) {
+        return code;
+    }
+
+    const byName = Object.keys(usStates).find(key => usStates[key].toLowerCase() === text.toLowerCase());
+    return byName || text;
+}
+
+/**
+ * ZIP code as 12345 or 12345-6789 ("12345 6789" and "123456789" are
+ * accepted). Anything else is returned as given.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeZip(value) {
+    const text = String(value ?? '').trim();
+    const match = /^(\d{5})(?:[-\s]?(\d{4}))?$/.exec(text);
+
+    if (!match) {
+        return text;
+    }
+
+    return match[2] ? `${match[1]}-${match[2]}` : match[1];
+}
+
+/**
+ * US phone number as 980-555-1234, from any punctuation and an optional
+ * +1 country code. Anything else is returned as given.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizePhone(value) {
+    const text = String(value ?? '').trim();
+    let digits = text.replace(/[\s().+-]/g, '');
+
+    if (/^1\d{10}$/.test(digits)) {
+        digits = digits.slice(1);
+    }
+
+    if (!/^[2-9]\d{2}[2-9]\d{6}$/.test(digits)) {
+        return text;
+    }
+
+    return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+/**
+ * Age in whole years on a given day
+ * @param {Object} dob - { year, month, day } (month 1-12)
+ * @param {Object} today - { year, month, day }
+ * @returns {number}
+ */
+export function ageOn(dob, today) {
+    const hadBirthday = today.month > dob.month || (today.month === dob.month && today.day >= dob.day);
+    return today.year - dob.year - (hadBirthday ? 0 : 1);
+}
+
+/**
+ * Typed reader over a set of settings (environment variables plus the
+ * config file). Each reader falls back to its default when the setting is
+ * empty, and when it's invalid it also records a problem naming the
+ * setting, so every problem can be reported at once.
+ * @param {Object} source - Setting name -> value
+ * @returns {Object} - { problems, problem, string, int, number, bool, time, cron, oneOf, timezone, url, date, list }
+ */
+export function createSettingsReader(source) {
+    const problems = [];
+
+    const raw = (name) => {
+        const value = source[name];
+        return value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+    };
+
+    const problem = (name, message) => {
+        problems.push(`${name}: ${message}`);
+    };
+
+    // Read a value, converting it with check() - which returns undefined if it's invalid
+    const read = (name, fallback, check, expected) => {
+        const value = raw(name);
+        if (value === null) {
+            return fallback;
+        }
+
+        const result = check(value);
+        if (result === undefined) {
+            problem(name, `"${value}" is not ${expected}`);
+            return fallback;
+        }
+        return result;
+    };
+
+    return {
+        problems,
+        problem,
+
+        string(name, fallback = null, { required = false } = {}) {
+            const value = raw(name);
+            if (value === null && required) {
+                problem(name, 'is required');
+            }
+            return value ?? fallback;
+        },
+
+        int(name, fallback, { min = 0 } = {}) {
+            return read(name, fallback, value => (/^\d+$/.test(value) && Number(value) >= min ? Number(value) : undefined),
+                `a whole number of at least ${min}`);
+        },
+
+        number(name, fallback, { min = 0 } = {}) {
+            return read(name, fallback, value => (/^\d+(\.\d+)?$/.test(value) && Number(value) >= min ? Number(value) : undefined),
+                `a number of at least ${min}`);
+        },
+
+        bool(name, fallback) {
+            return read(name, fallback, value => ({ true: true, yes: true, 1: true, false: false, no: false, 0: false })[value.toLowerCase()],
+                'true or false');
+        },
+
+        time(name, fallback) {
+            return read(name, fallback, value => (/^([01]?\d|2[0-3]):[0-5]\d$/.test(value) ? value.padStart(5, '0') : undefined),
+                'a time as HH:MM (24-hour)');
+        },
+
+        cron(name, fallback) {
+            return read(name, fallback, value => (cron.validate(value) ? value : undefined),
+                'a valid cron expression (minute hour day month weekday)');
+        },
+
+        oneOf(name, values, fallback) {
+            return read(name, fallback, value => (values.includes(value) ? value : undefined),
+                `one of: ${values.join(', ')}`);
+        },
+
+        timezone(name, fallback = null) {
+            return read(name, fallback, value => {
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: value });
+                    return value;
+                } catch (error) {
+                    return undefined;
+                }
+            }, 'a timezone name like America/New_York');
+        },
+
+        url(name, fallback = null, { protocols = ['http:', 'https:'], expected = 'an http(s) URL' } = {}) {
+            return read(name, fallback, value => {
+                try {
+                    return protocols.includes(new URL(value).protocol) ? value : undefined;
+                } catch (error) {
+                    return undefined;
+                }
+            }, expected);
+        },
+
+        date(name, fallback = null) {
+            return read(name, fallback, value => (/^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/.test(value)
+                && !isNaN(new Date(value.slice(0, 10))) ? value : undefined), 'a date as YYYY-MM-DD or YYYY-MM-DD HH:MM');
+        },
+
+        list(name, fallback = '') {
+            return (raw(name) ?? fallback)
+                .split(',')
+                .map(entry => entry.trim())
+                .filter(Boolean);
+        }
+    };
+}
+
+/**
+ * Read, normalize and check the entrant's details: required fields, email,
+ * state, ZIP, phone, a real date of birth and being old enough on the
+ * current contest day
+ * @param {Object} settings - From createSettingsReader
+ * @param {Date} now - Current time
+ * @returns {Object} - personalInfo for config.js
+ */
+export function readPersonalInfo(settings, now = new Date()) {
+    const required = (name) => settings.string(name, '', { required: true });
+
+    const info = {
+        firstName: required('FIRST_NAME'),
+        lastName: required('LAST_NAME'),
+        email: required('EMAIL').toLowerCase(),
+        addressLine1: required('ADDRESS_LINE1'),
+        addressLine2: settings.string('ADDRESS_LINE2', ''),
+        city: required('CITY'),
+        state: normalizeState(required('STATE')),
+        zipCode: normalizeZip(required('ZIP_CODE')),
+        phone: normalizePhone(required('PHONE')),
+        dobMonth: required('DOB_MONTH'),
+        dobDay: required('DOB_DAY'),
+        dobYear: required('DOB_YEAR'),
+        gender: settings.string('GENDER', '')
+    };
+
+    if (info.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(info.email)) {
+        settings.problem('EMAIL', `"${info.email}" is not an email address`);
+    }
+    if (info.state && !usStates[info.state]) {
+        settings.problem('STATE', `"${info.state}" is not a US state - use its two-letter code, e.g. NC`);
+    }
+    if (info.zipCode && !/^\d{5}(-\d{4})?$/.test(info.zipCode)) {
+        settings.problem('ZIP_CODE', `"${info.zipCode}" is not a ZIP code - use 12345 or 12345-6789`);
+    }
+    if (info.phone && !/^\d{3}-\d{3}-\d{4}$/.test(info.phone)) {
+        settings.problem('PHONE', `"${info.phone}" is not a 10-digit US phone number`);
+    }
+
+    if (!info.dobMonth || !info.dobDay || !info.dobYear) {
+        return info;
+    }
+
+    const today = getZonedParts(now);
+    const dob = { year: Number(info.dobYear), month: Number(info.dobMonth), day: Number(info.dobDay) };
+    const date = new Date(Date.UTC(dob.year, dob.month - 1, dob.day));
+    const validYear = /^\d{4}$/.test(info.dobYear) && dob.year >= 1900 && dob.year <= today.year;
+    const validMonth = /^\d{1,2}$/.test(info.dobMonth) && dob.month >= 1 && dob.month <= 12;
+    const validDay = /^\d{1,2}$/.test(info.dobDay) && date.getUTCMonth() === dob.month - 1 && date.getUTCDate() === dob.day;
+
+    if (!validYear) {
+        settings.problem('DOB_YEAR', `"${info.dobYear}" is not a birth year`);
+    }
+    if (!validMonth) {
+        settings.problem('DOB_MONTH', `"${info.dobMonth}" is not a month (1-12)`);
+    }
+    if (validYear && validMonth && !validDay) {
+        settings.problem('DOB_DAY', `${info.dobYear}-${info.dobMonth}-${info.dobDay} is not a real date`);
+    }
+    if (!validYear || !validMonth || !validDay) {
+        return info;
+    }
+
+    if (ageOn(dob, today) < MINIMUM_AGE) {
+        const eligibleFrom = `${dob.year + MINIMUM_AGE}-${String(dob.month).padStart(2, '0')}-${String(dob.day).padStart(2, '0')}`;
+        settings.problem('DOB_YEAR', `you must be at least ${MINIMUM_AGE} to enter these sweepstakes (you can enter from ${eligibleFrom})`);
+    }
+
+    // The forms' date selects use two-digit months and days
+    info.dobMonth = String(dob.month).padStart(2, '0');
+    info.dobDay = String(dob.day).padStart(2, '0');
+
+    return info;
+}
+
+const mask = (value, keep = 1) => (value ? `${String(value).slice(0, keep)}${'*'.repeat(Math.max(String(value).length - keep, 3))}` : value);
+
+/**
+ * Copy of the configuration that's safe to print: the entrant's details
+ * and any secrets are masked, and the age replaces the date of birth
+ * @param {Object} config - Resolved configuration
+ * @param {Date} now - Current time
+ * @returns {Object}
+ */
+export function maskConfig(config, now = new Date()) {
+    const masked = JSON.parse(JSON.stringify(config));
+    const info = config.personalInfo;
+    const [local, domain] = String(info.email || '').split('@');
+    const dob = { year: Number(info.dobYear), month: Number(info.dobMonth), day: Number(info.dobDay) };
+
+    masked.personalInfo = {
+        firstName: mask(info.firstName),
+        lastName: mask(info.lastName),
+        email: domain ? `${mask(local)}@${domain}` : mask(info.email),
+        addressLine1: mask(info.addressLine1),
+        addressLine2: mask(info.addressLine2),
+        city: info.city,
+        state: info.state,
+        zipCode: mask(info.zipCode, 3),
+        phone: info.phone ? `***-***-${String(info.phone).slice(-4)}` : info.phone,
+        dateOfBirth: info.dobYear ? '****-**-**' : '',
+        age: dob.year ? ageOn(dob, getZonedParts(now)) : null,
+        gender: info.gender ? '***' : ''
+    };
+
+    if (masked.captcha.solverApiKey) {
+        masked.captcha.solverApiKey = '********';
+    }
+    if (masked.dashboard?.token) {
+        masked.dashboard.token = '********';
+    }
+    if (masked.notifications.smtp.pass) {
+        masked.notifications.smtp.pass = '********';
+    }
+    if (masked.notifications.webhookUrl) {
+        // Webhook URLs often carry a token in the path
+        masked.notifications.webhookUrl = `${new URL(masked.notifications.webhookUrl).origin}/********`;
+    }
+
+    return masked;
+}
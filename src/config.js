@@ -1,6 +1,9 @@
 import dotenv from 'dotenv';
+import yaml from 'js-yaml';
+import { existsSync, readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, extname, join, resolve } from 'path';
+import { createSettingsReader, readPersonalInfo } from './config-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -8,94 +11,265 @@ const __dirname = dirname(__filename);
 // Load environment variables
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
-// Validate required fields
-const requiredFields = [
-    'FIRST_NAME',
-    'LAST_NAME',
-    'EMAIL',
-    'ADDRESS_LINE1',
-    'CITY',
-    'STATE',
-    'ZIP_CODE',
-    'PHONE',
-    'DOB_MONTH',
-    'DOB_DAY',
-    'DOB_YEAR'
-];
-
-const missingFields = requiredFields.filter(field => !process.env[field]);
-
-if (missingFields.length > 0) {
-    console.error('❌ Missing required environment variables:');
-    missingFields.forEach(field => console.error(`   - ${field}`));
-    console.error('\nPlease copy .env.example to .env and fill in your information.');
-    process.exit(1);
+const rootDir = join(__dirname, '..');
+
+/**
+ * Flatten a config file into setting names. Sections (nested maps) are
+ * only for grouping; lists become comma-separated values.
+ * @param {Object} object - Parsed config file
+ * @param {Object} into - Settings collected so far
+ * @returns {Object} - Setting name -> value
+ */
+function flattenSettings(object, into = {}) {
+    for (const [key, value] of Object.entries(object)) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenSettings(value, into);
+        } else {
+            into[key] = Array.isArray(value) ? value.join(',') : value;
+        }
+    }
+    return into;
+}
+
+/**
+ * Read the optional config file: CONFIG_FILE, or config.yaml, config.yml
+ * or config.json in the project root. It uses the same setting names as
+ * .env, and the environment (including .env) wins over it.
+ * @returns {Object} - { path, values, error } (path is null without a file)
+ */
+function loadConfigFile() {
+    const candidates = process.env.CONFIG_FILE
+        ? [resolve(rootDir, process.env.CONFIG_FILE)]
+        : ['config.yaml', 'config.yml', 'config.json'].map(name => join(rootDir, name));
+    const path = candidates.find(candidate => existsSync(candidate));
+
+    if (!path) {
+        return { path: null, values: {}, error: process.env.CONFIG_FILE ? `${candidates[0]} not found` : null };
+    }
+
+    try {
+        const text = readFileSync(path, 'utf8');
+        const parsed = extname(path).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+
+        if (parsed !== undefined && parsed !== null && (typeof parsed !== 'object' || Array.isArray(parsed))) {
+            throw new Error('expected settings as NAME: value pairs');
+        }
+        return { path, values: flattenSettings(parsed || {}), error: null };
+    } catch (error) {
+        return { path, values: {}, error: `could not read ${path}: ${error.message}` };
+    }
 }
 
-// Validate age (must be 21+)
-const birthYear = parseInt(process.env.DOB_YEAR);
-const currentYear = new Date().getFullYear();
-const age = currentYear - birthYear;
+const configFile = loadConfigFile();
+const settings = createSettingsReader({ ...configFile.values, ...process.env });
 
-if (age < 21) {
-    console.error('❌ You must be at least 21 years old to enter these sweepstakes.');
-    process.exit(1);
+if (configFile.error) {
+    settings.problem('CONFIG_FILE', configFile.error);
 }
 
+/**
+ * Same-day retry policy for a sweepstakes from its <PREFIX>_RETRY_* variables
+ * @param {string} prefix - Environment variable prefix (e.g. HGTV)
+ * @returns {Object} - { maxAttempts, backoffMinutes, backoffMultiplier, latestTime }
+ */
+function retryPolicy(prefix) {
+    const name = (setting) => `${prefix}_RETRY_${setting}`;
+
+    return {
+        maxAttempts: settings.int(name('MAX_ATTEMPTS'), 3, { min: 1 }),
+        backoffMinutes: settings.number(name('BACKOFF_MINUTES'), 15, { min: 1 }),
+        backoffMultiplier: settings.number(name('BACKOFF_MULTIPLIER'), 2, { min: 1 }),
+        latestTime: settings.time(name('LATEST_TIME'), '21:00') // HH:MM Eastern Time
+    };
+}
+
+/**
+ * Entry period and daily entry limit for a sweepstakes from its
+ * <PREFIX>_START/_END/_TIMEZONE/_DAILY_LIMIT/_RULES_URL variables. Anything
+ * left unset is read from the official rules page, if one is given.
+ * @param {string} prefix - Environment variable prefix (e.g. HGTV)
+ * @returns {Object} - { start, end, timezone, dailyLimit, rulesUrl }
+ */
+function entryPeriod(prefix) {
+    const name = (setting) => `${prefix}_${setting}`;
+
+    return {
+        start: settings.date(name('START')), // YYYY-MM-DD or YYYY-MM-DD HH:MM in the timezone
+        end: settings.date(name('END')),
+        timezone: settings.timezone(name('TIMEZONE')), // Default: the rules' timezone, else Eastern Time
+        dailyLimit: settings.int(name('DAILY_LIMIT'), null, { min: 1 }),
+        rulesUrl: settings.url(name('RULES_URL'))
+    };
+}
+
+/**
+ * Rate limit rule for a sweepstakes from its <PREFIX>_RATE_LIMIT_* variables.
+ * How many entries count per window comes from the entry period's daily limit.
+ * @param {string} prefix - Environment variable prefix (e.g. HGTV)
+ * @returns {Object} - { window, hours, timezone, group }
+ */
+function rateLimitRule(prefix) {
+    const name = (setting) => `${prefix}_RATE_LIMIT_${setting}`;
+
+    return {
+        window: settings.oneOf(name('WINDOW'), ['calendar-day', 'rolling'], 'calendar-day'),
+        hours: settings.number(name('HOURS'), 24, { min: 1 }), // Length of a rolling window
+        timezone: settings.timezone(name('TIMEZONE')), // Calendar day timezone (default: the entry period's)
+        group: settings.string(name('GROUP')) // Sweepstakes with the same group share one limit
+    };
+}
+
+const dataDir = settings.string('DATA_DIR', join(rootDir, 'data'));
+
 export const config = {
-    // Personal Information
-    personalInfo: {
-        firstName: process.env.FIRST_NAME,
-        lastName: process.env.LAST_NAME,
-        email: process.env.EMAIL,
-        addressLine1: process.env.ADDRESS_LINE1,
-        addressLine2: process.env.ADDRESS_LINE2 || '',
-        city: process.env.CITY,
-        state: process.env.STATE,
-        zipCode: process.env.ZIP_CODE,
-        phone: process.env.PHONE,
-        dobMonth: process.env.DOB_MONTH,
-        dobDay: process.env.DOB_DAY,
-        dobYear: process.env.DOB_YEAR,
-        gender: process.env.GENDER || ''
-    },
+    // Personal Information (normalized, see config-schema.js)
+    personalInfo: readPersonalInfo(settings),
 
     // Sweepstakes Configuration
     sweepstakes: {
         hgtv: {
-            enabled: process.env.HGTV_ENABLED !== 'false',
+            enabled: settings.bool('HGTV_ENABLED', true),
             url: 'https://www.hgtv.com/sweepstakes/hgtv-dream-home/sweepstakes',
-            schedule: process.env.HGTV_SCHEDULE || '0 9 * * *'
+            schedule: settings.cron('HGTV_SCHEDULE', '0 9 * * *'),
+            retry: retryPolicy('HGTV'),
+            period: entryPeriod('HGTV'),
+            rateLimit: rateLimitRule('HGTV')
         },
         foodNetwork: {
-            enabled: process.env.FOODNETWORK_ENABLED !== 'false',
+            enabled: settings.bool('FOODNETWORK_ENABLED', true),
             url: 'https://www.foodnetwork.com/sweepstakes',
-            schedule: process.env.FOODNETWORK_SCHEDULE || '30 9 * * *'
+            schedule: settings.cron('FOODNETWORK_SCHEDULE', '30 9 * * *'),
+            retry: retryPolicy('FOODNETWORK'),
+            // Discovered sweepstakes read theirs from their own rules links
+            period: entryPeriod('FOODNETWORK'),
+            rateLimit: rateLimitRule('FOODNETWORK'),
+            // The URL is a listing: enter each open sweepstakes found on it
+            discover: settings.bool('FOODNETWORK_DISCOVER', true),
+            // Slugs or title words of the sweepstakes to enter (empty = all open ones)
+            allowList: settings.list('FOODNETWORK_SWEEPSTAKES')
         }
     },
 
+    // Scheduler Options
+    scheduler: {
+        // On startup, immediately run entries whose time already passed today
+        catchUp: settings.bool('CATCH_UP_ENABLED', true),
+        catchUpCutoff: settings.time('CATCH_UP_CUTOFF', '23:00'), // HH:MM Eastern Time
+        // Warn on each run once a sweepstakes is this close to its end date
+        endingSoonDays: settings.int('ENDING_SOON_DAYS', 7)
+    },
+
     // CAPTCHA Configuration
     captcha: {
-        solverApiKey: process.env.CAPTCHA_SOLVER_API_KEY || null
+        solverApiKey: settings.string('CAPTCHA_SOLVER_API_KEY'),
+        // How long to wait for someone to solve it by hand, and how often to check
+        timeoutSeconds: settings.int('CAPTCHA_TIMEOUT_SECONDS', 120, { min: 1 }),
+        pollInterval: 1000
     },
 
     // Browser Options
     browser: {
-        headless: process.env.HEADLESS === 'true',
-        slowMo: parseInt(process.env.SLOW_MO) || 100
+        headless: settings.bool('HEADLESS', false),
+        slowMo: settings.int('SLOW_MO', 100),
+        // Chrome/Chromium to launch instead of the one Puppeteer downloaded
+        executablePath: settings.string('BROWSER_EXECUTABLE_PATH'),
+        // Profile directory to launch with (instead of a throwaway or per-entrant one)
+        profileDir: settings.string('BROWSER_PROFILE_DIR'),
+        // Connect to an already-running Chrome instead of launching one
+        wsEndpoint: settings.url('BROWSER_WS_ENDPOINT', null, { protocols: ['ws:', 'wss:'], expected: 'a ws:// DevTools URL' }),
+        debuggingPort: settings.int('BROWSER_DEBUGGING_PORT', null, { min: 1 }),
+        // Enter every sweepstakes of a scheduled run or --site=both in one browser
+        batch: settings.bool('BROWSER_BATCH', true),
+        // Keep a browser profile per entrant in data/browser-profiles/ instead of a throwaway one
+        persistentProfile: settings.bool('BROWSER_PERSISTENT_PROFILE', false)
+    },
+
+    // Checkboxes on the entry form: only what's consented to here is ticked
+    consent: {
+        agreeToRules: settings.bool('AGREE_TO_RULES', true),
+        optInNewsletters: settings.bool('OPT_IN_NEWSLETTERS', false),
+        optInPartners: settings.bool('OPT_IN_PARTNERS', false)
+    },
+
+    // Notifications (a channel is used when its settings are filled in)
+    notifications: {
+        events: settings.list('NOTIFY_EVENTS', 'failure,captcha,consecutive-failures,form-changed,trivia'),
+        consecutiveFailures: settings.int('NOTIFY_CONSECUTIVE_FAILURES', 3, { min: 1 }),
+        smtp: {
+            host: settings.string('SMTP_HOST'),
+            port: settings.int('SMTP_PORT', 587, { min: 1 }),
+            secure: settings.bool('SMTP_SECURE', false),
+            user: settings.string('SMTP_USER'),
+            pass: settings.string('SMTP_PASS'),
+            from: settings.string('NOTIFY_EMAIL_FROM', settings.string('SMTP_USER', 'sweepstakes@localhost')),
+            to: settings.string('NOTIFY_EMAIL_TO')
+        },
+        webhookUrl: settings.url('NOTIFY_WEBHOOK_URL'),
+        command: settings.string('NOTIFY_COMMAND')
+    },
+
+    // Web dashboard started with the scheduler, on http://127.0.0.1:<port>/ only
+    dashboard: {
+        enabled: settings.bool('DASHBOARD', false),
+        port: settings.int('DASHBOARD_PORT', 8787, { min: 1 }),
+        // Required (?token= or Authorization: Bearer) when set
+        token: settings.string('DASHBOARD_TOKEN')
+    },
+
+    // Per-run artifact bundles in runs/, pruned after every run (0 = no limit)
+    runs: {
+        keepDays: settings.int('RUNS_KEEP_DAYS', 30),
+        maxMb: settings.int('RUNS_MAX_MB', 500)
+    },
+
+    // Submission History
+    history: {
+        // Move records older than this many days to data/archive/ (0 = keep everything in one file)
+        archiveAfterDays: settings.int('HISTORY_ARCHIVE_AFTER_DAYS', 0)
     },
 
     // Logging
     logging: {
-        level: process.env.LOG_LEVEL || 'info'
+        level: settings.oneOf('LOG_LEVEL', ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'], 'info'),
+        // text, or json for one JSON object per line
+        format: settings.oneOf('LOG_FORMAT', ['text', 'json'], 'text')
     },
 
-    // Paths
+    // Paths (DATA_DIR, LOGS_DIR, SCREENSHOTS_DIR and RUNS_DIR relocate them, e.g. for tests)
     paths: {
-        root: join(__dirname, '..'),
-        logs: join(__dirname, '..', 'logs'),
-        screenshots: join(__dirname, '..', 'screenshots'),
-        data: join(__dirname, '..', 'data'),
-        submissions: join(__dirname, '..', 'data', 'submissions.json')
+        root: rootDir,
+        logs: settings.string('LOGS_DIR', join(rootDir, 'logs')),
+        screenshots: settings.string('SCREENSHOTS_DIR', join(rootDir, 'screenshots')),
+        runs: settings.string('RUNS_DIR', join(rootDir, 'runs')),
+        data: dataDir,
+        submissions: join(dataDir, 'submissions.jsonl'),
+        submissionsLock: join(dataDir, 'submissions.lock'),
+        legacySubmissions: join(dataDir, 'submissions.json'),
+        archive: join(dataDir, 'archive'),
+        formSchemas: join(dataDir, 'form-schemas'),
+        triviaAnswers: settings.string('TRIVIA_ANSWERS_FILE', join(dataDir, 'trivia-answers.json')),
+        triviaUnseen: join(dataDir, 'trivia-unseen.json'),
+        officialRules: join(dataDir, 'official-rules'),
+        browserProfiles: join(dataDir, 'browser-profiles')
     }
 };
+
+if (config.browser.executablePath && !existsSync(config.browser.executablePath)) {
+    settings.problem('BROWSER_EXECUTABLE_PATH', `${config.browser.executablePath} does not exist`);
+}
+
+if (config.notifications.smtp.host && !config.notifications.smtp.to) {
+    settings.problem('NOTIFY_EMAIL_TO', 'is required to send email notifications (SMTP_HOST is set)');
+}
+
+/**
+ * Everything wrong with the configuration, e.g. "ZIP_CODE: \"2820\" is not a
+ * ZIP code". Invalid settings fall back to their defaults; commands that
+ * enter sweepstakes refuse to run while this isn't empty.
+ */
+export const configProblems = settings.problems;
+
+/**
+ * Path of the config file that was read, or null
+ */
+export const configFilePath = configFile.path;
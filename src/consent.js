@@ -0,0 +1,132 @@
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * What a checkbox on the entry form asks for
+ */
+export const CHECKBOX_KIND = {
+    // Official rules / terms / eligibility - needed to enter at all
+    RULES: 'rules',
+    // Emails from the sponsor (HGTV, Food Network)
+    NEWSLETTER: 'newsletter',
+    // Offers from partners and other third parties
+    PARTNER: 'partner',
+    // Anything we can't tell - never touched
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Label patterns, checked in order: a box that mentions both the rules and
+ * marketing ("I agree to the rules and to receive offers") is marketing, so
+ * it is never ticked without consent. "Promotion" and "updates" on their own
+ * are common in rules boxes ("the Official Rules of this Promotion"), so
+ * they only count as marketing in a request to receive them.
+ */
+const checkboxPatterns = [
+    [CHECKBOX_KIND.PARTNER, /(partner|third[- ]part(y|ies)|affiliates?|carefully selected|other companies|offers from (our |its )?sponsors)/i],
+    [CHECKBOX_KIND.NEWSLETTER, /(newsletter|subscribe|e-?mails? (from|about)|special offers|(receive|send me) (\w+ ){0,3}(promotions|offers|updates)|promotional (e-?mails?|offers|messages)|(e-?mail|news) updates|marketing|news and offers|sign me up)/i],
+    [CHECKBOX_KIND.RULES, /(official rules|terms (of (use|service)|(and|&) conditions)|privacy (policy|notice)|i (have read|agree|accept|certify|confirm)|years of age|legal resident|eligib)/i]
+];
+
+/**
+ * Classify a checkbox by its label text
+ * @param {string} label - Label text
+ * @returns {string} - CHECKBOX_KIND value
+ */
+export function classifyCheckbox(label) {
+    const match = checkboxPatterns.find(([, pattern]) => pattern.test(label || ''));
+    return match ? match[0] : CHECKBOX_KIND.UNKNOWN;
+}
+
+/**
+ * Whether we've consented to a kind of checkbox (null: leave it alone)
+ * @param {string} kind - CHECKBOX_KIND value
+ * @returns {boolean|null}
+ */
+function consentFor(kind) {
+    switch (kind) {
+        case CHECKBOX_KIND.RULES:
+            return config.consent.agreeToRules;
+        case CHECKBOX_KIND.NEWSLETTER:
+            return config.consent.optInNewsletters;
+        case CHECKBOX_KIND.PARTNER:
+            return config.consent.optInPartners;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Find the checkboxes on the current screen with their label text
+ * @param {Frame} frame - Wayin form frame
+ * @returns {Promise<Object[]>} - [{ index, key, label, checked, required }]
+ */
+async function findCheckboxes(frame) {
+    return frame.evaluate(() => {
+        const text = (element) => (element ? element.innerText || element.textContent || '' : '').trim().replace(/\s+/g, ' ');
+
+        return Array.from(document.querySelectorAll('input[type="checkbox"]'))
+            .map((box, index) => {
+                const label = box.closest('label') || (box.id && document.querySelector(`label[for="${box.id}"]`));
+                return {
+                    index,
+                    key: box.id || `${box.name}=${box.value}`,
+                    label: text(label) || box.getAttribute('aria-label') || '',
+                    checked: box.checked,
+                    required: box.required,
+                    // Styled checkboxes hide the input itself and show the label
+                    visible: box.offsetParent !== null || Boolean(label && label.offsetParent !== null)
+                };
+            })
+            .filter(box => box.visible);
+    });
+}
+
+/**
+ * Tick the checkboxes on the current screen that we've consented to and
+ * untick pre-ticked ones we haven't. Unrecognised boxes are left as they
+ * are and logged.
+ * @param {Frame} frame - Wayin form frame
+ * @param {string} step - Entry step (for the record)
+ * @returns {Promise<Object[]>} - [{ step, key, label, kind, checked, changed }]
+ */
+export async function handleCheckboxes(frame, step) {
+    let boxes;
+
+    try {
+        boxes = await findCheckboxes(frame);
+    } catch (error) {
+        logger.warn(`Could not read checkboxes: ${error.message}`);
+        return [];
+    }
+
+    const results = [];
+
+    for (const box of boxes) {
+        const kind = classifyCheckbox(box.label);
+        const wanted = consentFor(kind);
+        let checked = box.checked;
+
+        if (wanted === null) {
+            logger.warn(`Unrecognised checkbox left ${checked ? 'ticked' : 'unticked'}: "${box.label || box.key}"`);
+        } else if (wanted !== checked) {
+            try {
+                checked = await frame.evaluate((index) => {
+                    const input = document.querySelectorAll('input[type="checkbox"]')[index];
+                    input.click();
+                    return input.checked;
+                }, box.index);
+            } catch (error) {
+                logger.warn(`Could not ${wanted ? 'tick' : 'untick'} "${box.label || box.key}": ${error.message}`);
+            }
+        }
+
+        logger.info(`${checked ? '☑' : '☐'} ${kind} checkbox: "${box.label || box.key}"`);
+        if (box.required && !checked) {
+            logger.warn('This checkbox is required - the form will probably refuse the entry');
+        }
+        results.push({ step, key: box.key, label: box.label, kind, checked, changed: checked !== box.checked });
+    }
+
+    return results;
+}
@@ -0,0 +1,153 @@
+import { CONTEST_TIMEZONE, getZonedParts, zonedTimeToDate, getDayKey } from './timezone.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// second, minute, hour, day of month, month, day of week (7 is Sunday too)
+const fields = [
+    { min: 0, max: 59 },
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+    { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+/**
+ * Values one cron field allows. Follows node-cron rather than classic cron
+ * where the two differ, so these are the moments cron.schedule really fires:
+ * a step keeps the values divisible by it (`1-10/3` is 3, 6, 9) and the day of
+ * month and day of week must both match.
+ * @param {string} text - Field as written, already validated by cron.validate
+ * @param {Object} field - Entry of fields
+ * @returns {Set<number>}
+ */
+function parseField(text, { min, max, names, offset }) {
+    const values = new Set();
+    const numeric = names
+        ? text.toLowerCase().replace(/[a-z]+/g, name => names.indexOf(name.slice(0, 3)) + offset)
+        : text;
+
+    for (const part of numeric.split(',')) {
+        const [range, step] = part.split('/');
+        let [first, last] = range === '*' ? [min, max] : range.split('-').map(Number);
+        last ??= first;
+        if (first > last) {
+            [first, last] = [last, first];
+        }
+
+        for (let value = first; value <= last; value++) {
+            if (!step || value % Number(step) === 0) {
+                values.add(max === 7 && value === 7 ? 0 : value);
+            }
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Matcher telling whether a cron expression fires at a given moment
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ * @param {string} timeZone - Timezone the expression is evaluated in
+ * @returns {Function} - (date) => boolean
+ */
+function createMatcher(expression, timeZone) {
+    const texts = expression.trim().split(/\s+/);
+    if (texts.length === 5) {
+        texts.unshift('0');
+    }
+    const [seconds, minutes, hours, days, months, weekdays] = texts.map((text, i) => parseField(text, fields[i]));
+
+    return date => {
+        const parts = getZonedParts(date, timeZone);
+        return seconds.has(parts.second) && minutes.has(parts.minute) && hours.has(parts.hour)
+            && days.has(parts.day) && months.has(parts.month) && weekdays.has(parts.weekday);
+    };
+}
+
+/**
+ * Moments a cron expression fires within a time range, walking the range
+ * minute by minute; fine for the day-or-two ranges we look at.
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ * @param {Date} from - Range start (inclusive)
+ * @param {Date} to - Range end (inclusive)
+ * @param {string} timeZone - Timezone the expression is evaluated in
+ * @returns {Date[]}
+ */
+export function getFireTimes(expression, from, to, timeZone = CONTEST_TIMEZONE) {
+    const matches = createMatcher(expression, timeZone);
+    const fireTimes = [];
+
+    let time = Math.ceil(from.getTime() / MINUTE) * MINUTE;
+    for (; time <= to.getTime(); time += MINUTE) {
+        const date = new Date(time);
+        if (matches(date)) {
+            fireTimes.push(date);
+        }
+    }
+
+    return fireTimes;
+}
+
+/**
+ * Times a cron expression has already fired today (contest day) before now
+ * @param {string} expression - Cron expression
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Timezone of the contest day
+ * @returns {Date[]}
+ */
+export function getFireTimesSoFarToday(expression, now = new Date(), timeZone = CONTEST_TIMEZONE) {
+    const startOfDay = zonedTimeToDate(getZonedParts(now, timeZone), '00:00', timeZone);
+    return getFireTimes(expression, startOfDay, now, timeZone);
+}
+
+/**
+ * Next moments a cron expression fires
+ * @param {string} expression - Cron expression
+ * @param {number} count - How many fire times to return
+ * @param {Date} from - Start looking after this moment
+ * @param {number} horizonDays - Give up after this many days
+ * @param {string} timeZone - Timezone the expression is evaluated in
+ * @returns {Date[]}
+ */
+export function getNextFireTimes(expression, count, from = new Date(), horizonDays = 366, timeZone = CONTEST_TIMEZONE) {
+    const fireTimes = [];
+    const end = from.getTime() + horizonDays * DAY;
+
+    // Search a day at a time so common (daily) schedules stop early
+    for (let start = from.getTime() + MINUTE; start < end && fireTimes.length < count; start += DAY) {
+        const chunkEnd = new Date(Math.min(start + DAY - MINUTE, end));
+        fireTimes.push(...getFireTimes(expression, new Date(start), chunkEnd, timeZone));
+    }
+
+    return fireTimes.slice(0, count);
+}
+
+/**
+ * Count how often a cron expression fires on each of the coming contest days
+ * @param {string} expression - Cron expression
+ * @param {number} days - Number of contest days to check, starting today
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Timezone of the contest day
+ * @returns {Object[]} - [{ day: 'YYYY-MM-DD', count }]
+ */
+export function countFireTimesPerDay(expression, days, now = new Date(), timeZone = CONTEST_TIMEZONE) {
+    const startOfToday = zonedTimeToDate(getZonedParts(now, timeZone), '00:00', timeZone);
+    const counts = [];
+
+    // Step from midday to midday so DST changes can't skip or repeat a day
+    let midday = startOfToday.getTime() + DAY / 2;
+    for (let i = 0; i < days; i++, midday += DAY) {
+        const dayParts = getZonedParts(new Date(midday), timeZone);
+        const dayStart = zonedTimeToDate(dayParts, '00:00', timeZone);
+        const dayEnd = zonedTimeToDate(dayParts, '23:59', timeZone);
+
+        counts.push({
+            day: getDayKey(dayStart, timeZone),
+            count: getFireTimes(expression, dayStart, dayEnd, timeZone).length
+        });
+    }
+
+    return counts;
+}
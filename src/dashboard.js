@@ -0,0 +1,293 @@
+import { createServer } from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { readSubmissions } from './history-store.js';
+import { belongsToSweepstakes } from './sweepstakes.js';
+import { readRunManifests } from './run-artifacts.js';
+import { isEnteredRecord } from './outcome.js';
+import { getDayKey } from './timezone.js';
+
+// The dashboard is only ever served on the loopback interface
+const HOST = '127.0.0.1';
+
+/**
+ * Page size from a ?limit= parameter: a whole number from 1 to 500
+ * @param {string|null} value - Parameter value
+ * @param {number} fallback - Size when it's missing or not a number
+ * @returns {number}
+ */
+function pageSize(value, fallback) {
+    const limit = Math.floor(Number(value));
+    return Number.isFinite(limit) && limit > 0 ? Math.min(limit, 500) : fallback;
+}
+
+/**
+ * Compare the request's token with DASHBOARD_TOKEN in constant time
+ * @param {string} given - Token from the request
+ * @returns {boolean}
+ */
+function validToken(given) {
+    const digest = (value) => createHash('sha256').update(String(value)).digest();
+    return timingSafeEqual(digest(given), digest(config.dashboard.token));
+}
+
+/**
+ * Everything the dashboard shows for each sweepstakes
+ * @param {Object} controls - Scheduler controls (see startDashboard)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { now, sweepstakes: [state + today + lastRun] }
+ */
+export async function dashboardStatus(controls, now = new Date()) {
+    const today = getDayKey(now);
+    const records = (await readSubmissions()).filter(record => getDayKey(record.timestamp) === today);
+    const manifests = readRunManifests();
+
+    return {
+        now: now.toISOString(),
+        sweepstakes: controls.state(now).map(state => {
+            const todays = records.filter(record => belongsToSweepstakes(record.site, state.id));
+            const lastRun = manifests.filter(manifest => belongsToSweepstakes(manifest.sweepstakes.id, state.id)).pop();
+
+            return {
+                ...state,
+                today: {
+                    entered: todays.some(isEnteredRecord),
+                    attempts: todays.length,
+                    lastStatus: todays.length > 0 ? todays[todays.length - 1].status : null
+                },
+                lastRun: lastRun ? runSummary(lastRun) : null
+            };
+        })
+    };
+}
+
+/**
+ * A run manifest with URLs for its screenshots
+ */
+function runSummary(manifest) {
+    return {
+        runId: manifest.runId,
+        sweepstakes: manifest.sweepstakes.id,
+        startedAt: manifest.startedAt,
+        durationMs: manifest.durationMs,
+        dryRun: manifest.dryRun,
+        status: manifest.status,
+        evidence: manifest.evidence,
+        screenshots: manifest.screenshots.map(screenshot => `/runs/${manifest.runId}/${screenshot.name}`)
+    };
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Handle one dashboard request
+ * @param {Object} controls - Scheduler controls (see startDashboard)
+ * @param {IncomingMessage} request
+ * @param {ServerResponse} response
+ * @param {number} port - Port the dashboard listens on
+ */
+async function handleRequest(controls, request, response, port) {
+    const url = new URL(request.url, `http://${HOST}:${port}`);
+
+    // Another site resolving its name to 127.0.0.1 (DNS rebinding) sends its own Host
+    if (![`${HOST}:${port}`, `localhost:${port}`].includes(request.headers.host)) {
+        return sendJson(response, 403, { error: 'Unexpected Host header' });
+    }
+
+    if (config.dashboard.token) {
+        const bearer = (request.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        if (!validToken(bearer || url.searchParams.get('token') || '')) {
+            return sendJson(response, 401, { error: 'Missing or wrong token' });
+        }
+    }
+
+    if (request.method === 'GET' && url.pathname === '/') {
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return response.end(dashboardPage);
+    }
+
+    if (request.method === 'GET' && url.pathname === '/api/status') {
+        return sendJson(response, 200, await dashboardStatus(controls));
+    }
+
+    if (request.method === 'GET' && url.pathname === '/api/history') {
+        const site = url.searchParams.get('site');
+        const limit = pageSize(url.searchParams.get('limit'), 50);
+        const records = (await readSubmissions({ includeArchive: true }))
+            .filter(record => !site || belongsToSweepstakes(record.site, site))
+            .slice(-limit)
+            .reverse();
+        return sendJson(response, 200, { records });
+    }
+
+    if (request.method === 'GET' && url.pathname === '/api/runs') {
+        const site = url.searchParams.get('site');
+        const limit = pageSize(url.searchParams.get('limit'), 20);
+        const runs = readRunManifests()
+            .filter(manifest => !site || belongsToSweepstakes(manifest.sweepstakes.id, site))
+            .slice(-limit)
+            .reverse()
+            .map(runSummary);
+        return sendJson(response, 200, { runs });
+    }
+
+    const screenshot = url.pathname.match(/^\/runs\/([\w.-]+)\/([\w.-]+\.png)$/);
+    if (request.method === 'GET' && screenshot && !screenshot[1].startsWith('.')) {
+        const path = join(config.paths.runs, screenshot[1], screenshot[2]);
+        if (!existsSync(path)) {
+            return sendJson(response, 404, { error: 'No such screenshot' });
+        }
+        response.writeHead(200, { 'Content-Type': 'image/png' });
+        return response.end(readFileSync(path));
+    }
+
+    const action = url.pathname.match(/^\/api\/sweepstakes\/([\w-]+)\/(run|dry-run|pause|resume)$/);
+    if (action) {
+        if (request.method !== 'POST') {
+            return sendJson(response, 405, { error: 'Use POST' });
+        }
+        // Plain forms from other sites can't send JSON without a CORS preflight
+        if (!(request.headers['content-type'] || '').startsWith('application/json')) {
+            return sendJson(response, 415, { error: 'Send Content-Type: application/json' });
+        }
+
+        const [, id, verb] = action;
+        if (!controls.state().some(state => state.id === id)) {
+            return sendJson(response, 404, { error: `Unknown sweepstakes "${id}"` });
+        }
+
+        if (verb === 'pause' || verb === 'resume') {
+            const done = verb === 'pause' ? controls.pause(id) : controls.resume(id);
+            return done
+                ? sendJson(response, 200, { id, paused: verb === 'pause' })
+                : sendJson(response, 409, { error: `${id} is not scheduled` });
+        }
+
+        const problem = controls.run(id, { dryRun: verb === 'dry-run' });
+        return problem
+            ? sendJson(response, 409, { error: problem })
+            : sendJson(response, 202, { id, started: verb });
+    }
+
+    return sendJson(response, 404, { error: 'Not found' });
+}
+
+/**
+ * Start the dashboard on 127.0.0.1:DASHBOARD_PORT
+ * @param {Object} controls - Scheduler controls: state(now), run(id, { dryRun }),
+ *   pause(id) and resume(id) (see scheduler.js)
+ * @returns {Promise<Server>} - The listening server
+ */
+export function startDashboard(controls) {
+    return new Promise((resolve, reject) => {
+        const server = createServer((request, response) => {
+            handleRequest(controls, request, response, server.address().port).catch(error => {
+                logger.error(`Dashboard request failed: ${error.message}`);
+                sendJson(response, 500, { error: error.message });
+            });
+        });
+
+        server.once('error', reject);
+        server.listen(config.dashboard.port, HOST, () => {
+            const { port } = server.address();
+            logger.info(`📊 Dashboard on http://${HOST}:${port}/${config.dashboard.token ? ' (add ?token=<DASHBOARD_TOKEN>)' : ''}`);
+            resolve(server);
+        });
+    });
+}
+
+const dashboardPage = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Sweepstakes scheduler</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border-bottom: 1px solid #ddd; padding: .5rem; text-align: left; vertical-align: top; }
+    .entered { color: #2e7d32; font-weight: bold; }
+    .failed { color: #c62828; font-weight: bold; }
+    .muted { color: #888; }
+    img { width: 200px; border: 1px solid #ccc; }
+    button { margin: 0 .25rem .25rem 0; }
+</style>
+</head>
+<body>
+<h1>Sweepstakes scheduler</h1>
+<p class="muted" id="updated"></p>
+<table>
+    <thead><tr><th>Sweepstakes</th><th>State</th><th>Next run</th><th>Today</th><th>Latest run</th><th></th></tr></thead>
+    <tbody id="sweepstakes"></tbody>
+</table>
+<h2>Recent history</h2>
+<table>
+    <thead><tr><th>Time</th><th>Sweepstakes</th><th>Status</th><th>Details</th></tr></thead>
+    <tbody id="history"></tbody>
+</table>
+<script>
+    const token = new URLSearchParams(location.search).get('token');
+    const withToken = (path) => token ? path + (path.includes('?') ? '&' : '?') + 'token=' + encodeURIComponent(token) : path;
+    const time = (iso) => iso ? new Date(iso).toLocaleString('en-US', { timeZone: 'America/New_York', dateStyle: 'medium', timeStyle: 'short' }) + ' ET' : '-';
+    const text = (value) => String(value ?? '').replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');
+
+    async function api(path, options = {}) {
+        const response = await fetch(withToken(path), { ...options, headers: { 'Content-Type': 'application/json' } });
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error);
+        return body;
+    }
+
+    async function act(id, verb) {
+        try {
+            await api('/api/sweepstakes/' + id + '/' + verb, { method: 'POST', body: '{}' });
+        } catch (error) {
+            alert(error.message);
+        }
+        refresh();
+    }
+
+    function row(s) {
+        const state = !s.enabled ? 'disabled' : s.paused ? 'paused' : s.running ? 'running…' : 'scheduled';
+        const today = s.today.entered ? '<span class="entered">entered</span>'
+            : s.today.attempts ? '<span class="failed">' + text(s.today.lastStatus) + '</span> (' + s.today.attempts + ' attempts)'
+            : '<span class="muted">not yet</span>';
+        const run = s.lastRun
+            ? time(s.lastRun.startedAt) + ' · ' + text(s.lastRun.dryRun ? 'dry run' : s.lastRun.status) +
+              (s.lastRun.screenshots.length ? '<br><a href="' + withToken(s.lastRun.screenshots.at(-1)) + '"><img src="' + withToken(s.lastRun.screenshots.at(-1)) + '"></a>' : '')
+            : '<span class="muted">none</span>';
+        const buttons = '<button onclick="act(\\'' + s.id + '\\', \\'run\\')"' + (s.running || !s.enabled ? ' disabled' : '') + '>Run now</button>' +
+            '<button onclick="act(\\'' + s.id + '\\', \\'dry-run\\')"' + (s.running ? ' disabled' : '') + '>Dry run</button>' +
+            (s.paused ? '<button onclick="act(\\'' + s.id + '\\', \\'resume\\')">Resume</button>'
+                : '<button onclick="act(\\'' + s.id + '\\', \\'pause\\')"' + (s.enabled ? '' : ' disabled') + '>Pause</button>');
+        return '<tr><td>' + text(s.name) + '<br><code class="muted">' + text(s.schedule) + '</code></td><td>' + state + '</td><td>' +
+            time(s.nextRun) + '</td><td>' + today + '</td><td>' + run + '</td><td>' + buttons + '</td></tr>';
+    }
+
+    async function refresh() {
+        try {
+            const [status, history] = await Promise.all([api('/api/status'), api('/api/history?limit=20')]);
+            document.getElementById('sweepstakes').innerHTML = status.sweepstakes.map(row).join('');
+            document.getElementById('history').innerHTML = history.records.map(r =>
+                '<tr><td>' + time(r.timestamp) + '</td><td>' + text(r.site) + '</td><td class="' + (r.success ? 'entered' : 'failed') + '">' +
+                text(r.status) + '</td><td>' + text(r.evidence?.match || '') + '</td></tr>').join('');
+            document.getElementById('updated').textContent = 'Updated ' + time(status.now);
+        } catch (error) {
+            document.getElementById('updated').textContent = 'Could not reach the scheduler: ' + error.message;
+        }
+    }
+
+    refresh();
+    setInterval(refresh, 10000);
+</script>
+</body>
+</html>
+`;
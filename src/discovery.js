@@ -0,0 +1,203 @@
+import { logger } from './logger.js';
+import { acquireBrowser, releaseBrowser } from './browser.js';
+import { momentIn } from './entry-period.js';
+import { CONTEST_TIMEZONE } from './timezone.js';
+
+/**
+ * Find an end date in a sweepstakes card ("Ends 12/31/2026", "Enter by
+ * Dec. 31, 2026 at 5 PM", "Ended January 5, 2026"), read the way official
+ * rules are. Without a time the sweepstakes is taken to close at the end
+ * of that day, Eastern Time.
+ * @param {string} text - Card text
+ * @returns {string|null} - ISO timestamp, or null if no date was found
+ */
+export function parseEndDate(text) {
+    const ends = /(?:ends?|ended|enter by|closes?|through)\s*(?:on)?:?\s*/i.exec(text);
+
+    // Only a date right after the word, not one elsewhere on the card
+    return ends ? momentIn(text.slice(ends.index, ends.index + ends[0].length + 60), CONTEST_TIMEZONE, true) : null;
+}
+
+/**
+ * Last path segment of a sweepstakes URL, used in its ID
+ * @param {string} url
+ * @returns {string}
+ */
+export function slugFromUrl(url) {
+    return new URL(url).pathname.split('/').filter(Boolean).pop().toLowerCase().replace(/[^a-z0-9-]/g, '-');
+}
+
+/**
+ * Whether a discovered sweepstakes is on the allow-list. Entries match the
+ * slug exactly or appear in the title; an empty list allows everything.
+ * @param {Object} found - { slug, title }
+ * @param {string[]} allowList
+ * @returns {boolean}
+ */
+export function isAllowed({ slug, title }, allowList) {
+    if (allowList.length === 0) {
+        return true;
+    }
+
+    return allowList.some(entry => entry.toLowerCase() === slug
+        || title.toLowerCase().includes(entry.toLowerCase()));
+}
+
+/**
+ * Collect the sweepstakes cards on a listing page: links to pages below
+ * the listing's own path (official rules links excluded) with the card's
+ * title, text and official rules link
+ * @param {Page} page - Puppeteer page on the listing
+ * @returns {Promise<Object[]>} - [{ url, title, text, rulesUrl }]
+ */
+async function readListing(page) {
+    return page.evaluate(() => {
+        const text = (element) => (element ? element.innerText || element.textContent || '' : '').trim().replace(/\s+/g, ' ');
+        const prefix = location.pathname.replace(/\/?$/, '/');
+        const cards = new Map();
+
+        for (const link of document.querySelectorAll('a[href]')) {
+            const href = new URL(link.getAttribute('href'), location.href);
+            href.search = '';
+            href.hash = '';
+
+            if (!href.pathname.startsWith(prefix) || href.pathname === prefix || /rules/i.test(href.pathname)) {
+                continue;
+            }
+
+            if (cards.has(href.href)) {
+                continue;
+            }
+
+            const card = link.closest('article, li, [class*="card" i]') || link.parentElement;
+            const rules = Array.from(card.querySelectorAll('a[href]')).find(a => /rules/i.test(a.getAttribute('href')));
+            cards.set(href.href, {
+                url: href.href,
+                title: text(card.querySelector('h1, h2, h3, h4, [class*="title" i]')) || text(link),
+                text: text(card),
+                rulesUrl: rules ? new URL(rules.getAttribute('href'), location.href).href : null
+            });
+        }
+
+        return Array.from(cards.values());
+    });
+}
+
+/**
+ * Scan a listing page for open Wayin sweepstakes: every card's title, URL
+ * and end date, plus the Wayin form URL (data-src) from its page. Ended
+ * sweepstakes and pages without a Wayin form are left out.
+ * @param {Object} definition - Listing definition (discover: true)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object[]>} - [{ slug, title, url, wayinUrl, endDate, rulesUrl, allowed }]
+ */
+export async function discoverSweepstakes(definition, now = new Date()) {
+    const { name, url, selectors, allowList } = definition;
+    logger.sweepstakes(definition.id, `Discovering open sweepstakes on ${url}`);
+
+    const browser = await acquireBrowser(definition);
+    const found = [];
+    let page;
+
+    try {
+        page = await browser.newPage();
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: definition.gotoTimeout });
+
+        const cards = await readListing(page);
+        logger.info(`Found ${cards.length} sweepstakes link(s) on the ${name} listing`);
+
+        for (const card of cards) {
+            const endDate = parseEndDate(card.text);
+
+            if (endDate && new Date(endDate) < now) {
+                logger.info(`⏭️  "${card.title}" ended ${endDate.slice(0, 10)}`);
+                continue;
+            }
+
+            let wayinUrl = null;
+            try {
+                await page.goto(card.url, { waitUntil: 'networkidle2', timeout: definition.gotoTimeout });
+                wayinUrl = await page.$eval(selectors.iframe, frame => frame.getAttribute('data-src') || frame.src);
+            } catch (error) {
+                logger.debug(`No Wayin frame on ${card.url}: ${error.message}`);
+            }
+
+            if (!wayinUrl) {
+                logger.info(`⏭️  "${card.title}" has no Wayin entry form`);
+                continue;
+            }
+
+            const sweepstakes = {
+                slug: slugFromUrl(card.url),
+                title: card.title,
+                url: card.url,
+                wayinUrl,
+                endDate,
+                rulesUrl: card.rulesUrl
+            };
+            sweepstakes.allowed = isAllowed(sweepstakes, allowList);
+            found.push(sweepstakes);
+        }
+    } finally {
+        await page?.close().catch(() => {});
+        await releaseBrowser();
+    }
+
+    return found;
+}
+
+/**
+ * Definition for one discovered sweepstakes. It gets its own ID, so its
+ * history and rate limit are separate from the other sweepstakes on the
+ * same listing, and its entry period comes from its own card and rules
+ * (a daily limit and rate limit window configured on the listing apply to
+ * each of them, but a shared-limit group doesn't).
+ * @param {Object} parent - Listing definition
+ * @param {Object} found - From discoverSweepstakes
+ * @returns {Object} - Sweepstakes definition
+ */
+export function discoveredDefinition(parent, found) {
+    return {
+        ...parent,
+        id: `${parent.id}-${found.slug}`,
+        name: `${parent.name}: ${found.title}`,
+        url: found.url,
+        endDate: found.endDate,
+        period: {
+            start: null,
+            end: null,
+            timezone: parent.period?.timezone || null,
+            dailyLimit: parent.period?.dailyLimit || null,
+            rulesUrl: found.rulesUrl || null
+        },
+        rateLimit: { ...parent.rateLimit, group: null },
+        screenshotPrefix: `${parent.screenshotPrefix}-${found.slug}`,
+        discover: false
+    };
+}
+
+/**
+ * The sweepstakes to enter for a definition: itself, or for a listing, the
+ * allow-listed open sweepstakes discovered on it
+ * @param {Object} definition - Sweepstakes definition
+ * @returns {Promise<Object[]>} - Definitions to run
+ */
+export async function resolveSweepstakes(definition) {
+    if (!definition.discover) {
+        return [definition];
+    }
+
+    const found = await discoverSweepstakes(definition);
+    const allowed = found.filter(sweepstakes => sweepstakes.allowed);
+
+    for (const sweepstakes of found) {
+        const ends = sweepstakes.endDate ? `, ends ${sweepstakes.endDate.slice(0, 10)}` : '';
+        logger.info(`${sweepstakes.allowed ? '✅' : '⏭️ '} ${sweepstakes.title} (${sweepstakes.slug}${ends})`);
+    }
+
+    if (allowed.length === 0) {
+        logger.warn(`No open ${definition.name} sweepstakes to enter${definition.allowList.length > 0 ? ' on the allow-list' : ''}`);
+    }
+
+    return allowed.map(sweepstakes => discoveredDefinition(definition, sweepstakes));
+}
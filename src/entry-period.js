@@ -0,0 +1,288 @@
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { writeFileAtomic } from './history-store.js';
+import { CONTEST_TIMEZONE, getDayKey, zonedTimeToDate } from './timezone.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Scraped rules are re-read after this long
+const RULES_MAX_AGE = 7 * DAY;
+
+/**
+ * Where a sweepstakes stands relative to its entry period
+ */
+export const PERIOD_STATE = {
+    UPCOMING: 'upcoming',
+    OPEN: 'open',
+    ENDED: 'ended',
+    // No start or end date configured or found in the rules
+    UNKNOWN: 'unknown'
+};
+
+const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const datePattern = /\b([a-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})\b|\b(\d{1,2})\/(\d{1,2})\/(\d{2,4})\b/gi;
+const timePattern = /\b(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([ap])\.?\s?m\b\.?|\b(noon|midnight)\b/i;
+const limitPattern = /\b(one|two|three|four|five|ten|\d+)\b\s*(?:\((\d+)\)\s*)?(?:[a-z-]+\s+){0,2}?(?:entry|entries|times?)\b[^.]{0,80}?\b(?:per|each|a)\s+(?:calendar\s+)?day\b/i;
+
+const numberWords = { one: 1, two: 2, three: 3, four: 4, five: 5, ten: 10 };
+
+// Timezone abbreviations used in official rules
+const ruleZones = [
+    [/\b(?:ET|EST|EDT|Eastern)\b/, 'America/New_York'],
+    [/\b(?:CT|CST|CDT|Central)\b/, 'America/Chicago'],
+    [/\b(?:MT|MST|MDT|Mountain)\b/, 'America/Denver'],
+    [/\b(?:PT|PST|PDT|Pacific)\b/, 'America/Los_Angeles']
+];
+
+/**
+ * Calendar day from a rules date ("December 27, 2025", "Dec. 27, 2025", "12/27/25")
+ * @param {RegExpExecArray} match - datePattern match
+ * @returns {Object|null} - { year, month, day }
+ */
+function matchedDay(match) {
+    if (match[4]) {
+        const year = Number(match[6]) < 100 ? 2000 + Number(match[6]) : Number(match[6]);
+        return { year, month: Number(match[4]), day: Number(match[5]) };
+    }
+
+    const month = months.indexOf(match[1].slice(0, 3).toLowerCase());
+    return month === -1 ? null : { year: Number(match[3]), month: month + 1, day: Number(match[2]) };
+}
+
+/**
+ * 24-hour HH:MM from a rules time ("9:00 a.m.", "5 PM", "noon")
+ * @param {RegExpExecArray} match - timePattern match
+ * @param {boolean} endOfDay - Whether "midnight" closes the day rather than opening it
+ * @returns {string}
+ */
+function matchedTime(match, endOfDay) {
+    if (match[4]) {
+        return match[4].toLowerCase() === 'noon' ? '12:00' : (endOfDay ? '23:59' : '00:00');
+    }
+
+    const hour = Number(match[1]) % 12 + (match[3].toLowerCase() === 'p' ? 12 : 0);
+    return `${String(hour).padStart(2, '0')}:${match[2] || '00'}`;
+}
+
+/**
+ * The moment a date (and optional time) in part of the rules, or in a
+ * sweepstakes card, stands for
+ * @param {string} text - Text naming one date
+ * @param {string} timeZone - IANA timezone the text is written in
+ * @param {boolean} endOfDay - Whether a date without a time means the end of that day
+ * @returns {string|null} - ISO timestamp
+ */
+export function momentIn(text, timeZone, endOfDay) {
+    const date = Array.from(text.matchAll(datePattern)).find(match => matchedDay(match));
+
+    if (!date) {
+        return null;
+    }
+
+    const day = matchedDay(date);
+
+    // The time belongs to this date if it's written just before or after it
+    const time = timePattern.exec(text.slice(0, date.index + date[0].length + 40));
+    const wallClock = time ? matchedTime(time, endOfDay) : (endOfDay ? '23:59' : '00:00');
+    const seconds = wallClock === '23:59' ? 59 * 1000 : 0;
+
+    return new Date(zonedTimeToDate(day, wallClock, timeZone).getTime() + seconds).toISOString();
+}
+
+/**
+ * Read the entry period and daily entry limit from official rules text,
+ * e.g. "The Sweepstakes begins at 9:00 a.m. Eastern Time ("ET") on
+ * December 27, 2025 and ends at 5:00 p.m. ET on February 18, 2026" and
+ * "Limit one (1) entry per person per day".
+ * @param {string} text - Rules as plain text
+ * @returns {Object} - { start, end, timezone, dailyLimit }, null where not found
+ */
+export function parseOfficialRules(text) {
+    const rules = { start: null, end: null, timezone: null, dailyLimit: null };
+    const begins = /\b(?:begins?|starts?|commences?)\b/i.exec(text);
+
+    if (begins) {
+        const period = text.slice(begins.index, begins.index + 400);
+        const zone = ruleZones.find(([pattern]) => pattern.test(period));
+        const ends = /\bend(?:s|ing)?\b/i.exec(period);
+
+        rules.timezone = zone ? zone[1] : null;
+        const timeZone = rules.timezone || CONTEST_TIMEZONE;
+
+        rules.start = momentIn(ends ? period.slice(0, ends.index) : period, timeZone, false);
+        rules.end = ends ? momentIn(period.slice(ends.index), timeZone, true) : null;
+    }
+
+    const limit = limitPattern.exec(text);
+    if (limit) {
+        rules.dailyLimit = Number(limit[2]) || numberWords[limit[1].toLowerCase()] || Number(limit[1]) || null;
+    }
+
+    return rules;
+}
+
+/**
+ * Convert a configured period date to a moment. Dates without a time
+ * mean the start of the day (or its end, for end dates) in the timezone.
+ * @param {string|null} value - "2026-02-18", "2026-02-18 17:00" or an ISO timestamp with an offset
+ * @param {string} timeZone - IANA timezone for values without an offset
+ * @param {boolean} endOfDay - Whether a bare date means the end of that day
+ * @returns {string|null} - ISO timestamp, or null if not set or not understood
+ */
+export function parsePeriodDate(value, timeZone = CONTEST_TIMEZONE, endOfDay = false) {
+    if (!value) {
+        return null;
+    }
+
+    const local = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}:\d{2}))?$/.exec(value.trim());
+
+    if (local) {
+        const day = { year: Number(local[1]), month: Number(local[2]), day: Number(local[3]) };
+        const time = local[4] || (endOfDay ? '23:59' : '00:00');
+        const seconds = !local[4] && endOfDay ? 59 * 1000 : 0;
+        return new Date(zonedTimeToDate(day, time, timeZone).getTime() + seconds).toISOString();
+    }
+
+    const date = new Date(value);
+    if (/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) && !isNaN(date)) {
+        return date.toISOString();
+    }
+
+    logger.warn(`Could not understand entry period date "${value}" - use YYYY-MM-DD or YYYY-MM-DD HH:MM`);
+    return null;
+}
+
+/**
+ * Turn a rules page into plain text
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&(?:quot|ldquo|rdquo);/g, '"')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Fetch and parse a sweepstakes' official rules page, caching the result in
+ * data/official-rules/<id>.json. The cache is used for a week, and also
+ * when the page can't be fetched.
+ * @param {Object} definition - Sweepstakes definition with period.rulesUrl
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - { url, fetchedAt, start, end, timezone, dailyLimit }, or null
+ */
+export async function loadOfficialRules(definition, now = new Date()) {
+    const url = definition.period.rulesUrl;
+    const path = join(config.paths.officialRules, `${definition.id}.json`);
+    let cached = null;
+
+    try {
+        cached = existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : null;
+    } catch (error) {
+        logger.warn(`Could not read cached official rules ${path}: ${error.message}`);
+    }
+
+    if (cached && cached.url === url && now - new Date(cached.fetchedAt) < RULES_MAX_AGE) {
+        return cached;
+    }
+
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(30000) });
+        if (!response.ok) {
+            throw new Error(`${url} responded with ${response.status}`);
+        }
+
+        const rules = { url, fetchedAt: now.toISOString(), ...parseOfficialRules(htmlToText(await response.text())) };
+        logger.info(`📜 Read ${definition.name} official rules: ${rules.start || '?'} to ${rules.end || '?'}` +
+            `${rules.dailyLimit ? `, ${rules.dailyLimit} per day` : ''}`);
+
+        mkdirSync(config.paths.officialRules, { recursive: true });
+        writeFileAtomic(path, JSON.stringify(rules, null, 2) + '\n');
+        return rules;
+    } catch (error) {
+        logger.warn(`Could not read ${definition.name} official rules: ${error.message}`);
+        return cached;
+    }
+}
+
+/**
+ * Entry period and daily entry limit of a sweepstakes. Configured values
+ * win; anything missing comes from the official rules (if a rules URL is
+ * known), then from the end date shown on a discovered sweepstakes' card.
+ * @param {Object} definition - Sweepstakes definition
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { start, end, timezone, dailyLimit, source } (start/end ISO or null;
+ *   source is config, rules, listing or null)
+ */
+export async function resolveEntryPeriod(definition, now = new Date()) {
+    const period = definition.period || {};
+    const configuredZone = period.timezone || CONTEST_TIMEZONE;
+    const start = parsePeriodDate(period.start, configuredZone, false);
+    const end = parsePeriodDate(period.end, configuredZone, true);
+
+    const rules = period.rulesUrl && (!start || !end || !period.dailyLimit)
+        ? await loadOfficialRules(definition, now)
+        : null;
+
+    let source = null;
+    if (start || end) {
+        source = 'config';
+    } else if (rules && (rules.start || rules.end)) {
+        source = 'rules';
+    } else if (definition.endDate) {
+        source = 'listing';
+    }
+
+    return {
+        start: start || rules?.start || null,
+        end: end || rules?.end || definition.endDate || null,
+        timezone: period.timezone || rules?.timezone || CONTEST_TIMEZONE,
+        dailyLimit: period.dailyLimit || rules?.dailyLimit || 1,
+        source
+    };
+}
+
+/**
+ * Whole calendar days from one moment to another in a timezone
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function daysBetween(from, to, timeZone) {
+    return Math.round((Date.parse(getDayKey(to, timeZone)) - Date.parse(getDayKey(from, timeZone))) / DAY);
+}
+
+/**
+ * Where a sweepstakes stands in its entry period
+ * @param {Object} period - From resolveEntryPeriod
+ * @param {Date} now - Current time
+ * @returns {Object} - { state, daysLeft, startsIn } (day counts in the period's
+ *   timezone; daysLeft is 0 on the last day and null without an end date)
+ */
+export function getPeriodStatus(period, now = new Date()) {
+    const start = period.start ? new Date(period.start) : null;
+    const end = period.end ? new Date(period.end) : null;
+
+    if (!start && !end) {
+        return { state: PERIOD_STATE.UNKNOWN, daysLeft: null, startsIn: null };
+    }
+
+    if (start && now < start) {
+        return { state: PERIOD_STATE.UPCOMING, daysLeft: null, startsIn: daysBetween(now, start, period.timezone) };
+    }
+
+    if (end && now > end) {
+        return { state: PERIOD_STATE.ENDED, daysLeft: null, startsIn: null };
+    }
+
+    return { state: PERIOD_STATE.OPEN, daysLeft: end ? daysBetween(now, end, period.timezone) : null, startsIn: null };
+}
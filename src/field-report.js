@@ -0,0 +1,139 @@
+import { logger } from './logger.js';
+import { validationSelector } from './outcome.js';
+
+/**
+ * What happened to a form field we tried to fill
+ */
+export const FIELD_STATUS = {
+    // Read back exactly the value we entered (ignoring formatting such as a phone mask)
+    VERIFIED: 'verified',
+    // Has a value, but not the one we entered
+    FILLED: 'filled',
+    // Not on the form
+    MISSING: 'missing',
+    // The form refused the value: no such option, left empty, or an inline validation message
+    REJECTED: 'rejected'
+};
+
+const normalize = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Compare the value read back from a field with the one we entered
+ * @param {string} expected - Value we entered
+ * @param {string} actual - Value read back from the form
+ * @returns {Object} - { status, message }
+ */
+export function compareFieldValue(expected, actual) {
+    if (actual === expected || (normalize(actual) && normalize(actual) === normalize(expected))) {
+        return { status: FIELD_STATUS.VERIFIED, message: null };
+    }
+
+    if (!String(actual ?? '').trim()) {
+        return { status: FIELD_STATUS.REJECTED, message: 'Field is empty after filling' };
+    }
+
+    return { status: FIELD_STATUS.FILLED, message: 'Form shows a different value than the one entered' };
+}
+
+/**
+ * Read the inline validation messages Wayin shows in the frame, with the ID
+ * of the field each one belongs to where it can be worked out
+ * @param {Frame} frame - Wayin form frame
+ * @returns {Promise<Object[]>} - [{ field, text }]
+ */
+export async function collectValidationMessages(frame) {
+    try {
+        return await frame.evaluate((selector) => {
+            const fields = 'input, select, textarea';
+
+            // A wrapper holding just one field (e.g. <div class="xField"><input><span class="xError">)
+            const onlyFieldIn = (element) => {
+                const found = element ? element.querySelectorAll(fields) : [];
+                return found.length === 1 ? found[0] : null;
+            };
+
+            return Array.from(document.querySelectorAll(selector))
+                .filter(element => element.offsetParent !== null && element.innerText.trim())
+                .map(element => {
+                    const forId = element.getAttribute('for');
+                    const field = (forId && document.getElementById(forId))
+                        || document.querySelector(`[aria-describedby~="${element.id || '-'}"]`)
+                        || (element.previousElementSibling?.matches(fields) ? element.previousElementSibling : null)
+                        || onlyFieldIn(element.parentElement);
+
+                    return { field: field ? field.id || field.name : null, text: element.innerText.trim() };
+                });
+        }, validationSelector);
+    } catch (error) {
+        logger.warn(`Could not read validation messages: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Track every field filled during a run, for the run's field report
+ * @returns {Object} - { add, addValidation, failedRequired, summary, toJSON }
+ */
+export function createFieldReport() {
+    const fields = [];
+    const validation = [];
+
+    return {
+        /**
+         * Record the result of filling a field
+         * @param {string} step - Entry step (email, registration, address, ...)
+         * @param {string} field - Definition field name (city, zipCode, ...)
+         * @param {string} selector - Element ID or selector
+         * @param {Object} result - { status, message } from fillFormField
+         */
+        add(step, field, selector, result) {
+            fields.push({ step, field, selector, status: result.status, message: result.message || null });
+        },
+
+        /**
+         * Record inline validation messages seen after a step, marking the
+         * fields they belong to as rejected
+         * @param {string} step - Entry step
+         * @param {Object[]} messages - From collectValidationMessages
+         */
+        addValidation(step, messages) {
+            for (const { field, text } of messages) {
+                validation.push({ step, field, text });
+                logger.warn(`Form says: "${text}"${field ? ` (${field})` : ''}`);
+
+                const entry = fields.find(f => f.step === step && field && f.selector.replace(/^#/, '') === field);
+                if (entry) {
+                    entry.status = FIELD_STATUS.REJECTED;
+                    entry.message = text;
+                }
+            }
+        },
+
+        /**
+         * Fields from the list that were attempted and are missing or rejected
+         * @param {string[]} required - Definition field names
+         * @returns {Object[]} - Failed report entries
+         */
+        failedRequired(required) {
+            return fields.filter(f => required.includes(f.field)
+                && (f.status === FIELD_STATUS.MISSING || f.status === FIELD_STATUS.REJECTED));
+        },
+
+        /**
+         * One-line count per status, e.g. "9 verified, 1 missing"
+         * @returns {string}
+         */
+        summary() {
+            const counts = Object.values(FIELD_STATUS)
+                .map(status => [status, fields.filter(f => f.status === status).length])
+                .filter(([, count]) => count > 0)
+                .map(([status, count]) => `${count} ${status}`);
+
+            return counts.length > 0 ? counts.join(', ') : 'no fields filled';
+        },
+
+        toJSON() {
+            return { fields, validation };
+        }
+    };
+}
@@ -0,0 +1,242 @@
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { writeFileAtomic } from './history-store.js';
+import { notify, NOTIFY_EVENT } from './notifier.js';
+
+/**
+ * Kinds of difference between a form snapshot and the baseline
+ */
+export const SCHEMA_CHANGE = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    NOW_REQUIRED: 'now-required',
+    OPTIONS_CHANGED: 'options-changed'
+};
+
+/**
+ * Snapshot the fields visible in a frame: inputs, selects, textareas,
+ * checkboxes. Radio buttons are grouped by name into one field.
+ * @param {Frame} frame - Wayin form frame
+ * @returns {Promise<Object[]>} - [{ key, id, name, type, required, label, options }]
+ */
+export async function snapshotFormSchema(frame) {
+    return frame.evaluate(() => {
+        const text = (element) => (element ? element.innerText || element.textContent || '' : '').trim().replace(/\s+/g, ' ');
+
+        const labelFor = (element) => text(element.id && document.querySelector(`label[for="${element.id}"]`))
+            || text(element.closest('label'))
+            || element.getAttribute('aria-label')
+            || element.getAttribute('placeholder')
+            || '';
+
+        const fields = [];
+        const radioGroups = new Map();
+
+        for (const element of document.querySelectorAll('input, select, textarea')) {
+            const type = element.tagName === 'INPUT' ? element.type : element.tagName.toLowerCase();
+
+            if (['hidden', 'submit', 'button', 'image', 'reset'].includes(type) || element.offsetParent === null) {
+                continue;
+            }
+
+            const label = labelFor(element);
+            const required = element.required || element.getAttribute('aria-required') === 'true' || /\*\s*$/.test(label);
+
+            if (type === 'radio') {
+                const group = radioGroups.get(element.name) || {
+                    key: element.name, id: '', name: element.name, type, required: false, label: '', options: []
+                };
+                group.required = group.required || required;
+                group.options.push(label || element.value);
+                radioGroups.set(element.name, group);
+                continue;
+            }
+
+            fields.push({
+                key: element.id || element.name,
+                id: element.id,
+                name: element.name,
+                type,
+                required,
+                label,
+                options: type === 'select' ? Array.from(element.options).map(option => option.value) : null
+            });
+        }
+
+        return fields.concat(Array.from(radioGroups.values())).filter(field => field.key);
+    });
+}
+
+/**
+ * Compare a snapshot with the baseline, step by step. Steps missing on
+ * either side aren't compared - a returning user never sees the
+ * registration screen. Radio options are not compared either: they are
+ * trivia answers and change with the question.
+ * @param {Object} baseline - { <step>: fields[] }
+ * @param {Object} current - { <step>: fields[] }
+ * @returns {Object[]} - [{ step, kind, field, label, alert, details }]
+ */
+export function diffFormSchema(baseline, current) {
+    const changes = [];
+
+    for (const [step, fields] of Object.entries(current)) {
+        if (!baseline[step]) {
+            continue;
+        }
+
+        const before = new Map(baseline[step].map(field => [field.key, field]));
+        const after = new Map(fields.map(field => [field.key, field]));
+        const change = (kind, field, alert, details = null) =>
+            changes.push({ step, kind, field: field.key, label: field.label, alert, details });
+
+        for (const field of after.values()) {
+            const old = before.get(field.key);
+
+            if (!old) {
+                // A new optional field is worth a log line, a new required one blocks entries
+                change(SCHEMA_CHANGE.ADDED, field, field.required);
+                continue;
+            }
+
+            if (field.required && !old.required) {
+                change(SCHEMA_CHANGE.NOW_REQUIRED, field, true);
+            }
+
+            if (field.type === 'select' && old.options) {
+                const added = field.options.filter(option => !old.options.includes(option));
+                const removed = old.options.filter(option => !field.options.includes(option));
+
+                if (added.length > 0 || removed.length > 0) {
+                    change(SCHEMA_CHANGE.OPTIONS_CHANGED, field, true, { added, removed });
+                }
+            }
+        }
+
+        for (const field of before.values()) {
+            if (!after.has(field.key)) {
+                change(SCHEMA_CHANGE.REMOVED, field, true);
+            }
+        }
+    }
+
+    return changes;
+}
+
+const schemaPath = (site, kind) => join(config.paths.formSchemas, `${site}.${kind}.json`);
+
+function readSchemaFile(path) {
+    return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : null;
+}
+
+function writeSchemaFile(path, contents) {
+    mkdirSync(config.paths.formSchemas, { recursive: true });
+    writeFileAtomic(path, JSON.stringify(contents, null, 2) + '\n');
+}
+
+/**
+ * Describe a change for logs and notifications
+ * @param {Object} change - From diffFormSchema
+ * @returns {string}
+ */
+export function describeSchemaChange({ step, kind, field, label, details }) {
+    const name = label ? `${field} ("${label}")` : field;
+
+    switch (kind) {
+        case SCHEMA_CHANGE.ADDED:
+            return `${step}: new field ${name}`;
+        case SCHEMA_CHANGE.REMOVED:
+            return `${step}: field ${name} is gone`;
+        case SCHEMA_CHANGE.NOW_REQUIRED:
+            return `${step}: ${name} is now required`;
+        default:
+            return `${step}: options of ${name} changed (added: ${details.added.join(', ') || 'none'}; removed: ${details.removed.join(', ') || 'none'})`;
+    }
+}
+
+/**
+ * Compare this run's form snapshots with the stored baseline for the
+ * sweepstakes, log and notify about drift, and store the snapshot as the
+ * latest one (for --accept-schema). Steps seen for the first time are
+ * added to the baseline. Never throws - drift detection must not break a run.
+ * @param {Object} definition - Sweepstakes definition
+ * @param {Object} snapshot - { <step>: fields[] } for this run
+ * @returns {Promise<Object[]>} - Changes found (see diffFormSchema)
+ */
+export async function checkFormSchema(definition, snapshot) {
+    const { id, name } = definition;
+
+    try {
+        const baseline = readSchemaFile(schemaPath(id, 'baseline')) || { acceptedAt: null, steps: {} };
+        const previous = readSchemaFile(schemaPath(id, 'latest'));
+        const changes = diffFormSchema(baseline.steps, snapshot);
+
+        const newSteps = Object.keys(snapshot).filter(step => !baseline.steps[step]);
+        if (newSteps.length > 0) {
+            writeSchemaFile(schemaPath(id, 'baseline'), {
+                acceptedAt: new Date().toISOString(),
+                steps: { ...baseline.steps, ...Object.fromEntries(newSteps.map(step => [step, snapshot[step]])) }
+            });
+            logger.info(`Saved form schema baseline for ${name}: ${newSteps.join(', ')}`);
+        }
+
+        // Keep the steps this run didn't see from the previous snapshot, so
+        // accepting covers the whole form
+        writeSchemaFile(schemaPath(id, 'latest'), {
+            capturedAt: new Date().toISOString(),
+            steps: { ...(previous ? previous.steps : {}), ...snapshot },
+            changes
+        });
+
+        if (changes.length === 0) {
+            return changes;
+        }
+
+        for (const change of changes) {
+            const line = `📋 ${name} form changed - ${describeSchemaChange(change)}`;
+            if (change.alert) {
+                logger.warn(line);
+            } else {
+                logger.info(line);
+            }
+        }
+
+        // Notify once per distinct drift, not on every run until it's accepted
+        const alerts = changes.filter(change => change.alert);
+        const alreadyNotified = previous
+            && JSON.stringify(previous.changes.filter(change => change.alert)) === JSON.stringify(alerts);
+
+        if (alerts.length > 0 && !alreadyNotified) {
+            await notify(NOTIFY_EVENT.FORM_CHANGED, {
+                site: id,
+                title: `📋 ${name} entry form changed`,
+                message: `${alerts.map(describeSchemaChange).join('\n')}\n\n`
+                    + `If the form still works, accept it with: node index.js --accept-schema --site=${id}`,
+                details: { changes: alerts }
+            });
+        }
+
+        return changes;
+    } catch (error) {
+        logger.warn(`Form schema check failed for ${name}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Make the latest snapshot of a sweepstakes' form the new baseline
+ * @param {string} site - Sweepstakes ID
+ * @returns {boolean} - Whether there was a snapshot to accept
+ */
+export function acceptFormSchema(site) {
+    const latest = readSchemaFile(schemaPath(site, 'latest'));
+
+    if (!latest) {
+        return false;
+    }
+
+    writeSchemaFile(schemaPath(site, 'baseline'), { acceptedAt: new Date().toISOString(), steps: latest.steps });
+    writeSchemaFile(schemaPath(site, 'latest'), { ...latest, changes: [] });
+    return true;
+}
@@ -0,0 +1,200 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { sweepstakes, belongsToSweepstakes } from './sweepstakes.js';
+import { readSubmissions } from './history-store.js';
+import { isEnteredRecord } from './outcome.js';
+import { getDayKey, formatInZone, addDays, isDayKey } from './timezone.js';
+
+/**
+ * Display name for a site ID
+ * @param {string} site - Sweepstakes ID
+ * @returns {string}
+ */
+function siteName(site) {
+    return sweepstakes[site]?.name || site;
+}
+
+/**
+ * Read history filtered by site and first ET day
+ * @param {Object} options
+ * @param {string} options.site - Sweepstakes ID (with the sweepstakes discovered
+ *   on it, for a listing), or 'both'/undefined for all
+ * @param {string} options.since - YYYY-MM-DD (ET), inclusive
+ * @returns {Promise<Object[]>} - Records, oldest first
+ */
+export async function loadHistory({ site, since } = {}) {
+    if (since && !isDayKey(since)) {
+        throw new Error(`--since must be a date written YYYY-MM-DD, not "${since}"`);
+    }
+
+    const records = await readSubmissions({ includeArchive: true });
+
+    return records
+        .filter(record => !site || site === 'both' || belongsToSweepstakes(record.site, site))
+        .filter(record => !since || getDayKey(record.timestamp) >= since)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Entry statistics for one sweepstakes
+ * @param {Object[]} records - That sweepstakes' records, oldest first
+ * @param {Date} now - Current time
+ * @returns {Object} - { attempts, entries, successRate, currentStreak, longestStreak,
+ *   daysMissed, failureReasons, lastEntry }
+ */
+export function computeStats(records, now = new Date()) {
+    const enteredDays = new Set(records.filter(isEnteredRecord).map(r => getDayKey(r.timestamp)));
+    const entries = records.filter(isEnteredRecord);
+    const failures = records.filter(r => !isEnteredRecord(r));
+    const today = getDayKey(now);
+
+    // Current streak counts back from today, or from yesterday if today's
+    // entry hasn't happened yet
+    let currentStreak = 0;
+    let day = enteredDays.has(today) ? today : addDays(today, -1);
+    while (enteredDays.has(day)) {
+        currentStreak++;
+        day = addDays(day, -1);
+    }
+
+    // Longest streak and missed days, from the first recorded day up to yesterday
+    let longestStreak = 0;
+    let daysMissed = 0;
+    if (records.length > 0) {
+        let run = 0;
+        for (day = getDayKey(records[0].timestamp); day <= today; day = addDays(day, 1)) {
+            if (enteredDays.has(day)) {
+                run++;
+                longestStreak = Math.max(longestStreak, run);
+            } else {
+                run = 0;
+                if (day < today) {
+                    daysMissed++;
+                }
+            }
+        }
+    }
+
+    const reasonCounts = new Map();
+    for (const record of failures) {
+        const reason = record.status || record.error || 'failed';
+        reasonCounts.set(reason, (reasonCounts.get(reason) || 0) + 1);
+    }
+
+    return {
+        attempts: records.length,
+        entries: entries.length,
+        successRate: records.length > 0 ? entries.length / records.length : 0,
+        currentStreak,
+        longestStreak,
+        daysMissed,
+        failureReasons: [...reasonCounts.entries()]
+            .map(([reason, count]) => ({ reason, count }))
+            .sort((a, b) => b.count - a.count),
+        lastEntry: entries.length > 0 ? entries[entries.length - 1] : null
+    };
+}
+
+/**
+ * Print the submission history
+ * @param {Object} options - { site, since } (see loadHistory)
+ */
+export async function showHistory(options = {}) {
+    const records = await loadHistory(options);
+
+    if (records.length === 0) {
+        logger.info('No submissions recorded yet');
+        return;
+    }
+
+    logger.info(`📜 ${records.length} submission(s):`);
+    for (const record of records) {
+        const mark = isEnteredRecord(record) ? '✅' : '❌';
+        const status = record.status || (record.success ? 'success' : 'failed');
+        const evidence = record.evidence?.match ? ` - ${record.evidence.match}` : '';
+        logger.info(`${mark} ${formatInZone(new Date(record.timestamp))}  ${siteName(record.site)}  ${status}${evidence}`);
+    }
+}
+
+/**
+ * Print per-sweepstakes statistics
+ * @param {Object} options - { site, since } (see loadHistory)
+ */
+export async function showStats(options = {}) {
+    const records = await loadHistory(options);
+    const sites = [...new Set(records.map(r => r.site))];
+
+    if (sites.length === 0) {
+        logger.info('No submissions recorded yet');
+        return;
+    }
+
+    for (const site of sites) {
+        const stats = computeStats(records.filter(r => r.site === site));
+
+        logger.info(`\n📊 ${siteName(site)}`);
+        logger.info(`   Entries: ${stats.entries}/${stats.attempts} attempts (${Math.round(stats.successRate * 100)}% success)`);
+        logger.info(`   Current streak: ${stats.currentStreak} day(s), longest: ${stats.longestStreak} day(s)`);
+        logger.info(`   Days missed: ${stats.daysMissed}`);
+        logger.info(`   Last successful entry: ${stats.lastEntry ? formatInZone(new Date(stats.lastEntry.timestamp)) : 'never'}`);
+
+        if (stats.failureReasons.length > 0) {
+            logger.info('   Most common failures:');
+            stats.failureReasons.slice(0, 3).forEach(({ reason, count }) => {
+                logger.info(`     ${count}x ${reason}`);
+            });
+        }
+    }
+}
+
+/**
+ * Quote a value for CSV
+ */
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render records as CSV, one row per submission
+ * @param {Object[]} records - Submission records
+ * @returns {string}
+ */
+export function toCsv(records) {
+    const columns = ['timestamp', 'contest_day_et', 'site', 'entered', 'status', 'error', 'evidence_source', 'evidence'];
+    const rows = records.map(record => [
+        record.timestamp,
+        getDayKey(record.timestamp),
+        record.site,
+        isEnteredRecord(record),
+        record.status || '',
+        record.error,
+        record.evidence?.source,
+        record.evidence?.match
+    ]);
+
+    return [columns, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Export the submission history to a file
+ * @param {string} format - csv or json
+ * @param {Object} options - { site, since, output } (output defaults to data/exports/)
+ * @returns {Promise<string>} - Path written
+ */
+export async function exportHistory(format, { output, ...filters } = {}) {
+    if (!['csv', 'json'].includes(format)) {
+        throw new Error(`Unsupported export format "${format}" (use csv or json)`);
+    }
+
+    const records = await loadHistory(filters);
+    const path = output || join(config.paths.data, 'exports', `submissions-${getDayKey(new Date())}.${format}`);
+
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, format === 'csv' ? toCsv(records) : JSON.stringify(records, null, 2) + '\n');
+
+    logger.success(`Exported ${records.length} submission(s) to ${path}`);
+    return path;
+}
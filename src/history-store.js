@@ -0,0 +1,360 @@
+import {
+    existsSync,
+    mkdirSync,
+    openSync,
+    closeSync,
+    writeSync,
+    fsyncSync,
+    readFileSync,
+    renameSync,
+    unlinkSync,
+    readdirSync
+} from 'fs';
+import { dirname, join } from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * Submission history, stored as append-only JSON lines in
+ * data/submissions.jsonl. Every write happens under a lock file so two
+ * processes (e.g. the pm2 scheduler and a manual run) can't interleave,
+ * and whole-file rewrites go through a temp file + rename so a crash never
+ * leaves a half-written history behind.
+ */
+
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE_AFTER = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const fileStamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+function ensureDataDir() {
+    if (!existsSync(config.paths.data)) {
+        mkdirSync(config.paths.data, { recursive: true });
+    }
+}
+
+/**
+ * Whether the process holding a lock is gone (or has held it far too long)
+ * @param {string} lockPath - Lock file path
+ * @returns {boolean}
+ */
+function isStaleLock(lockPath) {
+    try {
+        const { pid, acquiredAt } = JSON.parse(readFileSync(lockPath, 'utf8'));
+
+        if (Date.now() - new Date(acquiredAt).getTime() > LOCK_STALE_AFTER) {
+            return true;
+        }
+
+        process.kill(pid, 0); // Throws if the process no longer exists
+        return false;
+    } catch (error) {
+        // Unreadable lock (crash mid-write) or dead owner
+        return error.code !== 'EPERM';
+    }
+}
+
+/**
+ * Run a function while holding the history lock
+ * @param {Function} fn - Work to do under the lock
+ * @returns {Promise<*>} - Whatever fn returns
+ */
+async function withLock(fn) {
+    ensureDataDir();
+    const lockPath = config.paths.submissionsLock;
+    const start = Date.now();
+
+    for (;;) {
+        try {
+            const fd = openSync(lockPath, 'wx');
+            writeSync(fd, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+            closeSync(fd);
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+
+            if (isStaleLock(lockPath)) {
+                logger.warn('Removing stale submission history lock');
+                try {
+                    unlinkSync(lockPath);
+                } catch (unlinkError) {
+                    // Someone else cleaned it up first
+                }
+                continue;
+            }
+
+            if (Date.now() - start > LOCK_TIMEOUT) {
+                throw new Error(`Timed out waiting for submission history lock (${lockPath})`);
+            }
+
+            await sleep(100);
+        }
+    }
+
+    try {
+        return await fn();
+    } finally {
+        try {
+            unlinkSync(lockPath);
+        } catch (error) {
+            logger.warn(`Failed to release submission history lock: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Write a file atomically: temp file, fsync, rename
+ * @param {string} path - Destination
+ * @param {string} contents - File contents
+ */
+export function writeFileAtomic(path, contents) {
+    const tempPath = `${path}.${process.pid}.tmp`;
+    const fd = openSync(tempPath, 'w');
+
+    try {
+        writeSync(fd, contents);
+        fsyncSync(fd);
+    } finally {
+        closeSync(fd);
+    }
+
+    renameSync(tempPath, path);
+}
+
+/**
+ * Append lines to a file and flush them to disk
+ * @param {string} path - File path
+ * @param {Object[]} records - Records to append, one JSON line each
+ */
+function appendRecords(path, records) {
+    if (records.length === 0) {
+        return;
+    }
+
+    mkdirSync(dirname(path), { recursive: true });
+    const fd = openSync(path, 'a');
+
+    try {
+        writeSync(fd, records.map(record => JSON.stringify(record) + '\n').join(''));
+        fsyncSync(fd);
+    } finally {
+        closeSync(fd);
+    }
+}
+
+const toJsonLines = (records) => records.map(record => JSON.stringify(record) + '\n').join('');
+
+/**
+ * Parse a JSON lines file, separating records from lines that don't parse
+ * @param {string} path - File path
+ * @returns {Object} - { records, badLines }
+ */
+function parseJsonLines(path) {
+    const records = [];
+    const badLines = [];
+
+    if (!existsSync(path)) {
+        return { records, badLines };
+    }
+
+    for (const line of readFileSync(path, 'utf8').split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+
+        try {
+            const record = JSON.parse(line);
+            if (record && typeof record === 'object' && !Array.isArray(record)) {
+                records.push(record);
+            } else {
+                badLines.push(line);
+            }
+        } catch (error) {
+            badLines.push(line);
+        }
+    }
+
+    return { records, badLines };
+}
+
+/**
+ * Pull whole records out of a damaged legacy submissions.json array by
+ * scanning for balanced top-level { ... } objects
+ * @param {string} text - File contents
+ * @returns {Object[]} - Records that could be parsed
+ */
+function salvageJsonArray(text) {
+    const records = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let start = -1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            if (depth === 0) start = i;
+            depth++;
+        } else if (char === '}' && depth > 0) {
+            depth--;
+            if (depth === 0) {
+                try {
+                    records.push(JSON.parse(text.slice(start, i + 1)));
+                } catch (error) {
+                    // Damaged record, skip it
+                }
+            }
+        }
+    }
+
+    return records;
+}
+
+/**
+ * Move the old data/submissions.json array into the JSON lines store.
+ * The original is kept as submissions.json.migrated.
+ */
+function migrateLegacyFile() {
+    const legacyPath = config.paths.legacySubmissions;
+
+    if (!existsSync(legacyPath)) {
+        return;
+    }
+
+    const text = readFileSync(legacyPath, 'utf8');
+    let records;
+
+    try {
+        records = text.trim() ? JSON.parse(text) : [];
+        if (!Array.isArray(records)) {
+            throw new Error('not an array');
+        }
+    } catch (error) {
+        records = salvageJsonArray(text);
+        logger.error(`Legacy submissions.json is corrupted (${error.message}); recovered ${records.length} record(s)`);
+    }
+
+    // Legacy records go before anything already in the new store
+    const { records: existing } = parseJsonLines(config.paths.submissions);
+    writeFileAtomic(config.paths.submissions, toJsonLines([...records, ...existing]));
+    renameSync(legacyPath, `${legacyPath}.migrated`);
+
+    logger.info(`Migrated ${records.length} submission record(s) from submissions.json to submissions.jsonl`);
+}
+
+/**
+ * Set unparseable lines aside in a .corrupt file and rewrite the history
+ * without them
+ * @param {Object[]} records - Good records
+ * @param {string[]} badLines - Lines that failed to parse
+ */
+function quarantineBadLines(records, badLines) {
+    const corruptPath = `${config.paths.submissions}.corrupt-${fileStamp()}`;
+
+    writeFileAtomic(corruptPath, badLines.join('\n') + '\n');
+    writeFileAtomic(config.paths.submissions, toJsonLines(records));
+
+    logger.error(`Submission history had ${badLines.length} corrupted line(s); moved them to ${corruptPath}`);
+}
+
+/**
+ * Load the history, migrating and repairing it first if needed
+ * @returns {Object[]} - Records, oldest first
+ */
+function loadUnderLock() {
+    migrateLegacyFile();
+
+    const { records, badLines } = parseJsonLines(config.paths.submissions);
+
+    if (badLines.length > 0) {
+        quarantineBadLines(records, badLines);
+    }
+
+    return records;
+}
+
+/**
+ * Move records older than the retention window into yearly archive files
+ * @param {Object[]} records - Current records
+ * @param {number} days - Keep this many days in the live history
+ * @returns {Object[]} - Records kept in the live history
+ */
+function archiveUnderLock(records, days) {
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const keep = records.filter(record => new Date(record.timestamp).getTime() >= cutoff);
+    const old = records.filter(record => new Date(record.timestamp).getTime() < cutoff);
+
+    if (old.length === 0) {
+        return records;
+    }
+
+    const byYear = new Map();
+    for (const record of old) {
+        const year = String(new Date(record.timestamp).getUTCFullYear());
+        byYear.set(year, [...(byYear.get(year) || []), record]);
+    }
+
+    for (const [year, yearRecords] of byYear) {
+        appendRecords(join(config.paths.archive, `submissions-${year}.jsonl`), yearRecords);
+    }
+
+    writeFileAtomic(config.paths.submissions, toJsonLines(keep));
+    logger.info(`Archived ${old.length} submission record(s) older than ${days} days`);
+
+    return keep;
+}
+
+/**
+ * Read the submission history
+ * @param {Object} options
+ * @param {boolean} options.includeArchive - Also read archived records
+ * @returns {Promise<Object[]>} - Records, oldest first
+ */
+export async function readSubmissions({ includeArchive = false } = {}) {
+    const parsed = parseJsonLines(config.paths.submissions);
+    const needsRepair = parsed.badLines.length > 0 || existsSync(config.paths.legacySubmissions);
+
+    // A bad line may just be another process mid-append; loadUnderLock
+    // re-reads once that write is finished before quarantining anything
+    const records = needsRepair ? await withLock(loadUnderLock) : parsed.records;
+
+    if (!includeArchive || !existsSync(config.paths.archive)) {
+        return records;
+    }
+
+    const archived = readdirSync(config.paths.archive)
+        .filter(name => /^submissions-\d{4}\.jsonl$/.test(name))
+        .sort()
+        .flatMap(name => parseJsonLines(join(config.paths.archive, name)).records);
+
+    return [...archived, ...records];
+}
+
+/**
+ * Append a record to the submission history
+ * @param {Object} record - Submission record
+ */
+export async function appendSubmission(record) {
+    await withLock(() => {
+        const records = loadUnderLock();
+        appendRecords(config.paths.submissions, [record]);
+
+        if (config.history.archiveAfterDays > 0) {
+            archiveUnderLock([...records, record], config.history.archiveAfterDays);
+        }
+    });
+}
+
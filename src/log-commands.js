@@ -0,0 +1,88 @@
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { readRunManifests } from './run-artifacts.js';
+import { formatInZone } from './timezone.js';
+
+// Start of a text log line; anything else continues the line before (e.g. a stack trace)
+const textLine = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} \[/;
+
+/**
+ * combined.log and its rotated copies (combined1.log, ...), oldest first
+ * @returns {string[]} - Paths
+ */
+function logFiles() {
+    if (!existsSync(config.paths.logs)) {
+        return [];
+    }
+
+    return readdirSync(config.paths.logs)
+        .filter(name => /^combined\d*\.log$/.test(name))
+        .map(name => join(config.paths.logs, name))
+        .sort((a, b) => statSync(a).mtimeMs - statSync(b).mtimeMs);
+}
+
+/**
+ * The lines one run logged, in either log format (the format can change
+ * between runs, so each line is checked)
+ * @param {string} runId - Run ID
+ * @param {string[]} files - Log files, oldest first
+ * @returns {string[]} - Lines as they are in the files
+ */
+export function findRunLines(runId, files = logFiles()) {
+    const found = [];
+
+    for (const file of files) {
+        let inRun = false;
+
+        for (const line of readFileSync(file, 'utf8').split('\n')) {
+            if (line.startsWith('{')) {
+                try {
+                    inRun = JSON.parse(line).runId === runId;
+                } catch (error) {
+                    inRun = false;
+                }
+            } else if (textLine.test(line)) {
+                inRun = line.includes(`] [${runId}]`) || line.includes(`] [${runId} `);
+            }
+
+            if (inRun && line) {
+                found.push(line);
+            }
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Print one run's log lines, or list the latest runs without a run ID
+ * @param {string} runId - Run ID (see runs/ or --report)
+ * @returns {boolean} - Whether anything was found
+ */
+export function showRunLogs(runId) {
+    if (!runId) {
+        const runs = readRunManifests().slice(-10).reverse();
+        if (runs.length === 0) {
+            logger.info('No runs recorded yet');
+            return false;
+        }
+
+        logger.info('Latest runs (show one with --logs --run=<run ID>):');
+        for (const run of runs) {
+            logger.info(`   ${run.runId}  ${formatInZone(new Date(run.startedAt))}  ${run.dryRun ? 'dry-run' : run.status}`);
+        }
+        return true;
+    }
+
+    const lines = findRunLines(runId);
+    if (lines.length === 0) {
+        logger.warn(`No log lines for run ${runId} in ${config.paths.logs} (rotated out, or a run from before run IDs were logged)`);
+        return false;
+    }
+
+    // Straight to stdout: through the logger they would be logged a second time
+    process.stdout.write(lines.join('\n') + '\n');
+    return true;
+}
@@ -1,4 +1,5 @@
 import winston from 'winston';
+import { AsyncLocalStorage } from 'async_hooks';
 import { config } from './config.js';
 import { existsSync, mkdirSync } from 'fs';
 
@@ -7,28 +8,65 @@ if (!existsSync(config.paths.logs)) {
     mkdirSync(config.paths.logs, { recursive: true });
 }
 
-const { combine, timestamp, printf, colorize, errors } = winston.format;
+const { combine, timestamp, printf, colorize, errors, json } = winston.format;
+
+// Fields ({ sweepstakes, runId, step }) of the run the current code belongs to
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Log every line written inside fn with these fields, on top of the
+ * enclosing context. Follows the async calls fn makes, so lines from any
+ * module get them and overlapping runs stay apart.
+ * @param {Object} fields - e.g. { sweepstakes: 'hgtv' } or { step: 'email' }
+ * @param {Function} fn - Function to run (usually async)
+ * @returns {*} - What fn returns
+ */
+export function withLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Add fields to the current context, e.g. the run ID once it is known
+ * @param {Object} fields
+ */
+export function setLogContext(fields) {
+    Object.assign(logContext.getStore() || {}, fields);
+}
+
+// Fields given with the line itself win over the context
+const addContext = winston.format(info => ({ ...logContext.getStore(), ...info }));
+
+/**
+ * Tag a text line with the run, or the sweepstakes outside a run, and the step
+ */
+function tag({ runId, sweepstakes, step }) {
+    const parts = [runId || (sweepstakes && String(sweepstakes).toUpperCase()), step].filter(Boolean);
+    return parts.length > 0 ? ` [${parts.join(' ')}]` : '';
+}
 
 // Custom log format
-const logFormat = printf(({ level, message, timestamp, stack }) => {
-    return `${timestamp} [${level}]: ${stack || message}`;
+const logFormat = printf((info) => {
+    return `${info.timestamp} [${info.level}]${tag(info)}: ${info.stack || info.message}`;
 });
 
+// LOG_FORMAT=json: one JSON object per line, for log shippers and --logs
+const structured = config.logging.format === 'json';
+
 // Create logger instance
 export const logger = winston.createLogger({
     level: config.logging.level,
-    format: combine(
-        errors({ stack: true }),
-        timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-        logFormat
-    ),
+    format: structured
+        ? combine(errors({ stack: true }), timestamp(), addContext(), json())
+        : combine(errors({ stack: true }), timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }), addContext(), logFormat),
     transports: [
         // Console output with colors
         new winston.transports.Console({
-            format: combine(
-                colorize(),
-                logFormat
-            )
+            format: structured
+                ? json()
+                : combine(
+                    colorize(),
+                    logFormat
+                )
         }),
         // File output for all logs
         new winston.transports.File({
@@ -48,7 +86,7 @@ export const logger = winston.createLogger({
 
 // Helper methods for common log patterns
 logger.sweepstakes = (site, message) => {
-    logger.info(`[${site.toUpperCase()}] ${message}`);
+    logger.info(message, { sweepstakes: site });
 };
 
 logger.success = (message) => {
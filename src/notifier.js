@@ -0,0 +1,177 @@
+import { spawn } from 'child_process';
+import { basename } from 'path';
+import nodemailer from 'nodemailer';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * Events a notification can be sent for
+ */
+export const NOTIFY_EVENT = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    CAPTCHA: 'captcha',
+    CONSECUTIVE_FAILURES: 'consecutive-failures',
+    FORM_CHANGED: 'form-changed',
+    TRIVIA: 'trivia'
+};
+
+/**
+ * Send a notification by email. The screenshot, if any, is attached.
+ * @param {Object} notification - See notify()
+ */
+async function sendEmail(notification) {
+    const { smtp } = config.notifications;
+
+    const transport = nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    });
+
+    await transport.sendMail({
+        from: smtp.from,
+        to: smtp.to,
+        subject: notification.title,
+        text: `${notification.message}\n\n${JSON.stringify(notification.details, null, 2)}`,
+        attachments: notification.screenshot
+            ? [{ filename: basename(notification.screenshot), path: notification.screenshot }]
+            : []
+    });
+}
+
+/**
+ * POST the notification as JSON to a webhook
+ * @param {Object} notification - See notify()
+ */
+async function sendWebhook(notification) {
+    const response = await fetch(config.notifications.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(notification),
+        signal: AbortSignal.timeout(15000)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+    }
+}
+
+/**
+ * Run a local command with the notification in NOTIFY_* environment
+ * variables and as JSON on stdin
+ * @param {Object} notification - See notify()
+ */
+function runCommand(notification) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(config.notifications.command, {
+            shell: true,
+            stdio: ['pipe', 'ignore', 'pipe'],
+            env: {
+                ...process.env,
+                NOTIFY_EVENT: notification.event,
+                NOTIFY_SITE: notification.site || '',
+                NOTIFY_TITLE: notification.title,
+                NOTIFY_MESSAGE: notification.message,
+                NOTIFY_SCREENSHOT: notification.screenshot || ''
+            }
+        });
+
+        let stderr = '';
+        child.stderr.on('data', chunk => { stderr += chunk; });
+
+        const timer = setTimeout(() => child.kill(), 30000);
+        child.on('error', reject);
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`Command exited with ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+            }
+        });
+
+        child.stdin.on('error', () => {}); // The command may not read stdin
+        child.stdin.end(JSON.stringify(notification));
+    });
+}
+
+/**
+ * Notification channels: whether each is configured, and how to send.
+ * Add an entry here (or call registerChannel) to plug in another channel.
+ */
+const channels = {
+    email: {
+        enabled: () => Boolean(config.notifications.smtp.host && config.notifications.smtp.to),
+        send: sendEmail
+    },
+    webhook: {
+        enabled: () => Boolean(config.notifications.webhookUrl),
+        send: sendWebhook
+    },
+    command: {
+        enabled: () => Boolean(config.notifications.command),
+        send: runCommand
+    }
+};
+
+/**
+ * Add a notification channel
+ * @param {string} name - Channel name (for logs)
+ * @param {Function} send - async (notification) => void
+ * @param {Function} enabled - () => boolean, defaults to always enabled
+ */
+export function registerChannel(name, send, enabled = () => true) {
+    channels[name] = { enabled, send };
+}
+
+/**
+ * Send a notification on every configured channel, if the event is enabled.
+ * Channel failures are logged, never thrown - a broken webhook must not
+ * break an entry run.
+ * @param {string} event - NOTIFY_EVENT value
+ * @param {Object} notification
+ * @param {string} notification.site - Sweepstakes ID
+ * @param {string} notification.title - Short summary (email subject)
+ * @param {string} notification.message - Longer description
+ * @param {string} notification.screenshot - Path of a screenshot to attach
+ * @param {Object} notification.details - Extra data (status, evidence, ...)
+ * @returns {Promise<string[]>} - Channels the notification was sent on
+ */
+export async function notify(event, { site = null, title, message, screenshot = null, details = {} }) {
+    if (!config.notifications.events.includes(event)) {
+        return [];
+    }
+
+    const notification = {
+        event,
+        site,
+        title,
+        message,
+        screenshot,
+        details,
+        timestamp: new Date().toISOString()
+    };
+
+    const sent = [];
+
+    for (const [name, channel] of Object.entries(channels)) {
+        if (!channel.enabled()) {
+            continue;
+        }
+
+        try {
+            await channel.send(notification);
+            sent.push(name);
+        } catch (error) {
+            logger.warn(`Failed to send ${event} notification via ${name}: ${error.message}`);
+        }
+    }
+
+    if (sent.length > 0) {
+        logger.info(`📣 Sent ${event} notification via ${sent.join(', ')}`);
+    }
+
+    return sent;
+}
@@ -0,0 +1,154 @@
+import { logger } from './logger.js';
+
+/**
+ * Possible results of an entry run. Only CONFIRMED and ALREADY_ENTERED mean
+ * the entrant is entered for the contest day.
+ */
+export const OUTCOME = {
+    CONFIRMED: 'confirmed',
+    ALREADY_ENTERED: 'already-entered',
+    VALIDATION_ERROR: 'validation-error',
+    CAPTCHA_BLOCKED: 'captcha-blocked',
+    CAPTCHA_TIMEOUT: 'captcha-timeout',
+    ENTRY_CLOSED: 'entry-closed',
+    UNKNOWN: 'unknown',
+    // The run failed before reaching a classifiable screen
+    TIMEOUT: 'timeout',
+    IFRAME_MISSING: 'iframe-missing',
+    ERROR: 'error',
+    // Runs that didn't submit by design
+    RATE_LIMITED: 'rate-limited',
+    OUTSIDE_PERIOD: 'outside-period',
+    DRY_RUN: 'dry-run'
+};
+
+/**
+ * Failures worth another attempt later the same day. Closed entry periods
+ * and rejected fields will fail the same way no matter how often we retry.
+ */
+const retryableOutcomes = new Set([
+    OUTCOME.TIMEOUT,
+    OUTCOME.IFRAME_MISSING,
+    OUTCOME.ERROR,
+    OUTCOME.UNKNOWN,
+    OUTCOME.CAPTCHA_BLOCKED,
+    OUTCOME.CAPTCHA_TIMEOUT
+]);
+
+/**
+ * Whether an outcome means the entrant is entered for the day
+ * @param {string} status - Outcome status
+ * @returns {boolean}
+ */
+export function isEnteredOutcome(status) {
+    return status === OUTCOME.CONFIRMED || status === OUTCOME.ALREADY_ENTERED;
+}
+
+/**
+ * Whether a submission record means the entrant was entered that day.
+ * Records from before outcome classification only have the success flag.
+ * @param {Object} record - Submission record
+ * @returns {boolean}
+ */
+export function isEnteredRecord(record) {
+    return record.status ? isEnteredOutcome(record.status) : Boolean(record.success);
+}
+
+/**
+ * Whether a failed run is worth retrying
+ * @param {string} status - Outcome status
+ * @returns {boolean}
+ */
+export function isRetryableOutcome(status) {
+    return retryableOutcomes.has(status);
+}
+
+/**
+ * Text patterns per outcome, checked in order. The negative outcomes come
+ * first because Wayin thank-you screens often also say things like
+ * "come back tomorrow to enter again".
+ */
+const outcomePatterns = [
+    [OUTCOME.CAPTCHA_BLOCKED, /(verify (that )?you are (a )?human|are you a robot|complete the captcha|captcha (verification )?failed)/i],
+    [OUTCOME.ENTRY_CLOSED, /(sweepstakes (has|have) (ended|closed)|entry period (has )?(ended|closed|is over)|no longer accepting entries|(promotion|contest) (has )?ended)/i],
+    [OUTCOME.ALREADY_ENTERED, /(already (been )?entered|already submitted( an| your)? entry|reached the (daily )?entry limit)/i],
+    [OUTCOME.VALIDATION_ERROR, /(please (enter|select|provide) a valid|is required|is invalid|invalid (email|zip|phone|date))/i],
+    [OUTCOME.CONFIRMED, /(thank(s| you) for (entering|your entry)|you('| a)re entered|entry (has been |was )?(received|submitted|confirmed)|successfully entered)/i]
+];
+
+/**
+ * Wayin inline validation messages
+ */
+export const validationSelector = '.xError, .xErrorMessage, .xFieldError, .xValidationError, [role="alert"]';
+
+/**
+ * Collect visible text and validation messages from a frame
+ * @param {Frame} frame - Puppeteer frame (or page main frame)
+ * @param {string} selector - Validation message selector
+ * @returns {Promise<Object|null>} - { text, validationMessages } or null if the frame is gone
+ */
+async function readFrame(frame, selector) {
+    try {
+        return await frame.evaluate((sel) => ({
+            text: document.body ? document.body.innerText : '',
+            validationMessages: Array.from(document.querySelectorAll(sel))
+                .filter(el => el.offsetParent !== null)
+                .map(el => el.innerText.trim())
+                .filter(Boolean)
+        }), selector);
+    } catch (error) {
+        logger.warn(`Could not read frame for outcome: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Match frame contents against the outcome patterns
+ * @param {Object|null} contents - Result of readFrame()
+ * @param {string} source - Where the contents came from (for the evidence)
+ * @returns {Object|null} - { status, evidence } or null if nothing matched
+ */
+function matchOutcome(contents, source) {
+    if (!contents) {
+        return null;
+    }
+
+    for (const [status, pattern] of outcomePatterns) {
+        // Inline messages say more than the generic pattern that matched them
+        if (status === OUTCOME.VALIDATION_ERROR && contents.validationMessages.length > 0) {
+            return { status, evidence: { source, match: contents.validationMessages.join(' | ') } };
+        }
+
+        const match = contents.text.match(pattern);
+        if (match) {
+            return { status, evidence: { source, match: match[0] } };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Classify the result of an entry by inspecting the Wayin frame first and
+ * then the outer page (which only matters when the form is embedded)
+ * @param {Page} page - Puppeteer page object
+ * @param {Frame} frame - Wayin form frame
+ * @returns {Promise<Object>} - { status, evidence }
+ */
+export async function classifySubmissionOutcome(page, frame) {
+    const frameResult = matchOutcome(await readFrame(frame, validationSelector), 'wayin-frame');
+
+    if (frameResult) {
+        return frameResult;
+    }
+
+    if (frame !== page.mainFrame()) {
+        const pageResult = matchOutcome(await readFrame(page.mainFrame(), validationSelector), 'page');
+
+        if (pageResult) {
+            return pageResult;
+        }
+    }
+
+    return { status: OUTCOME.UNKNOWN, evidence: null };
+}
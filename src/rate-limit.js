@@ -0,0 +1,141 @@
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { isEnteredRecord } from './outcome.js';
+import { readSubmissions } from './history-store.js';
+import { resolveEntryPeriod } from './entry-period.js';
+import { getDayKey, getZonedParts, zonedTimeToDate, formatInZone } from './timezone.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * How the window that entries are counted in is defined
+ */
+export const RATE_LIMIT_WINDOW = {
+    // Midnight to midnight in the sweepstakes' timezone
+    CALENDAR_DAY: 'calendar-day',
+    // The last N hours
+    ROLLING: 'rolling'
+};
+
+/**
+ * Entrant an entry counts against, as stored in submission records
+ * @param {string} email - Entrant email
+ * @returns {string}
+ */
+export function entrantKey(email = config.personalInfo.email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Key a sweepstakes' entries are counted under: its shared-limit group, or
+ * its own ID
+ * @param {Object} definition - Sweepstakes definition
+ * @returns {string}
+ */
+export function rateLimitKey(definition) {
+    return definition.rateLimit?.group || definition.id;
+}
+
+/**
+ * The rate limit rule for a sweepstakes. The number of entries allowed per
+ * window is the daily limit of its entry period; a calendar day follows
+ * the period's timezone unless the rule sets its own.
+ * @param {Object} definition - Sweepstakes definition
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { site, key, window, hours, timezone, limit }
+ */
+export async function resolveRateLimit(definition, now = new Date()) {
+    const { window = RATE_LIMIT_WINDOW.CALENDAR_DAY, hours = 24, timezone = null } = definition.rateLimit || {};
+    const period = await resolveEntryPeriod(definition, now);
+
+    return {
+        site: definition.id,
+        key: rateLimitKey(definition),
+        window,
+        hours,
+        timezone: timezone || period.timezone,
+        limit: period.dailyLimit
+    };
+}
+
+/**
+ * Start of the current calendar day in a timezone, and of the next one
+ * @param {Date} now
+ * @param {string} timeZone
+ * @returns {Object} - { start, next }
+ */
+function calendarDay(now, timeZone) {
+    const start = zonedTimeToDate(getZonedParts(now, timeZone), '00:00', timeZone);
+    // 36 hours on always lands on the next day, DST changes included
+    const next = zonedTimeToDate(getZonedParts(new Date(start.getTime() + 36 * HOUR), timeZone), '00:00', timeZone);
+    return { start, next };
+}
+
+/**
+ * Count the entries in the current window and decide whether another is
+ * allowed. Records count when they're entries under the rule's key for
+ * the same entrant; records from before entrants and keys were stored
+ * count for their own site.
+ * @param {Object[]} records - Submission records
+ * @param {Object} rule - From resolveRateLimit
+ * @param {string} entrant - From entrantKey
+ * @param {Date} now - Current time
+ * @returns {Object} - { allowed, count, nextAllowed } (nextAllowed is null when allowed)
+ */
+export function evaluateRateLimit(records, rule, entrant, now = new Date()) {
+    const rolling = rule.window === RATE_LIMIT_WINDOW.ROLLING;
+    const day = rolling ? null : calendarDay(now, rule.timezone);
+    const start = rolling ? new Date(now.getTime() - rule.hours * HOUR) : day.start;
+
+    const entries = records
+        .filter(r => isEnteredRecord(r)
+            && (r.limitKey ? r.limitKey === rule.key : r.site === rule.site)
+            && (!r.entrant || r.entrant === entrant)
+            && new Date(r.timestamp) >= start
+            && new Date(r.timestamp) <= now)
+        .map(r => new Date(r.timestamp))
+        .sort((a, b) => a - b);
+
+    if (entries.length < rule.limit) {
+        return { allowed: true, count: entries.length, nextAllowed: null };
+    }
+
+    // Rolling: once enough of the oldest entries have dropped out of the window
+    const nextAllowed = rolling
+        ? new Date(entries[entries.length - rule.limit].getTime() + rule.hours * HOUR)
+        : day.next;
+
+    return { allowed: false, count: entries.length, nextAllowed };
+}
+
+/**
+ * Check if we can submit based on rate limiting. If the history can't be
+ * read we don't know whether we already entered, so entry is refused
+ * rather than risking a duplicate.
+ * @param {Object} definition - Sweepstakes definition
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - Whether submission is allowed
+ */
+export async function checkRateLimit(definition, now = new Date()) {
+    const { id } = definition;
+
+    try {
+        const rule = await resolveRateLimit(definition, now);
+        const { allowed, count, nextAllowed } = evaluateRateLimit(await readSubmissions(), rule, entrantKey(), now);
+
+        if (!allowed) {
+            const scope = rule.key === id ? id : `${id} (limit shared as "${rule.key}")`;
+            const window = rule.window === RATE_LIMIT_WINDOW.ROLLING
+                ? `in the last ${rule.hours} hours`
+                : `on ${getDayKey(now, rule.timezone)} (${rule.timezone})`;
+
+            logger.warn(`Rate limit: Already entered ${scope} ${count} time(s) ${window}, limit ${rule.limit}. ` +
+                `Next entry allowed ${formatInZone(nextAllowed, rule.timezone)}`);
+        }
+
+        return allowed;
+    } catch (error) {
+        logger.failure(`Cannot read submission history, refusing to enter ${id}: ${error.message}`);
+        return false;
+    }
+}
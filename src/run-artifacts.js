@@ -0,0 +1,254 @@
+import { mkdirSync, writeFileSync, readFileSync, readdirSync, statSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { config } from './config.js';
+import { logger, withLogContext } from './logger.js';
+import { takeScreenshot } from './utils.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+/**
+ * ID of an entry run: when it started (UTC, so IDs sort by time), the
+ * sweepstakes and a random suffix for runs started in the same second
+ * @param {Object} definition - Sweepstakes definition
+ * @param {Date} now - Start of the run
+ * @returns {string} - e.g. 2026-10-19T13-00-02Z-hgtv-3f9a
+ */
+export function createRunId(definition, now = new Date()) {
+    const stamp = now.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+    return `${stamp}-${definition.id}-${randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Collect what happens in one entry run in its own directory, runs/<run ID>/:
+ * step screenshots, the browser console, HTML of the page and the Wayin
+ * frame when it fails, and manifest.json with the outcome and step timings
+ * @param {Object} definition - Sweepstakes definition
+ * @param {Object} options - { dryRun }
+ * @param {Date} now - Start of the run
+ * @returns {Object} - Bundle with id, dir, step(), watch(), screenshot(), dumpHtml(), finish() and prune()
+ */
+export function createRunArtifacts(definition, { dryRun = false } = {}, now = new Date()) {
+    const id = createRunId(definition, now);
+    const dir = join(config.paths.runs, id);
+    const steps = [];
+    const screenshots = [];
+    const dumps = [];
+    const consoleLines = [];
+
+    mkdirSync(dir, { recursive: true });
+
+    return {
+        id,
+        dir,
+
+        /**
+         * Run a step of the entry, timing it and logging its lines with the step name
+         * @param {string} name - Step name
+         * @param {Function} action - async () => result
+         * @returns {Promise<*>} - What the action returns
+         */
+        async step(name, action) {
+            const started = Date.now();
+            const entry = { name, startedAt: new Date(started).toISOString(), durationMs: null, error: null };
+            steps.push(entry);
+
+            try {
+                return await withLogContext({ step: name }, action);
+            } catch (error) {
+                entry.error = error.message;
+                throw error;
+            } finally {
+                entry.durationMs = Date.now() - started;
+            }
+        },
+
+        /**
+         * Record the page's console messages and uncaught errors
+         * @param {Page} page - Puppeteer page object
+         */
+        watch(page) {
+            page.on('console', message => {
+                consoleLines.push(`${new Date().toISOString()} [${message.type()}] ${message.text()}`);
+            });
+            page.on('pageerror', error => {
+                consoleLines.push(`${new Date().toISOString()} [pageerror] ${error.message}`);
+            });
+        },
+
+        /**
+         * Screenshot the page into the bundle
+         * @param {Page} page - Puppeteer page object
+         * @param {string} name - File name without extension, e.g. 02-after-email
+         * @returns {Promise<string|null>} - Path of the screenshot, or null if it failed
+         */
+        async screenshot(page, name) {
+            const file = await takeScreenshot(page, name, dir);
+            if (file) {
+                screenshots.push({ name: `${name}.png`, timestamp: new Date().toISOString() });
+            }
+            return file;
+        },
+
+        /**
+         * Save the HTML of the page and, if the form is in its own frame,
+         * of the Wayin frame
+         * @param {Page} page - Puppeteer page object
+         * @param {Frame} frame - Wayin form frame, if it was found
+         */
+        async dumpHtml(page, frame) {
+            const sources = [['page.html', page]];
+            if (frame && frame !== page.mainFrame()) {
+                sources.push(['frame.html', frame]);
+            }
+
+            for (const [name, source] of sources) {
+                try {
+                    writeFileSync(join(dir, name), await source.content());
+                    dumps.push(name);
+                } catch (error) {
+                    logger.warn(`Could not save ${name}: ${error.message}`);
+                }
+            }
+        },
+
+        /**
+         * Write the console log and the manifest. Never throws: the run's
+         * submission record is saved after this.
+         * @param {Object} result - { success, status, evidence, fields }
+         * @returns {Object} - The manifest
+         */
+        finish({ success, status, evidence = null, fields = null }) {
+            const endedAt = new Date();
+
+            if (consoleLines.length > 0) {
+                try {
+                    writeFileSync(join(dir, 'console.log'), consoleLines.join('\n') + '\n');
+                } catch (error) {
+                    logger.warn(`Could not save the browser console: ${error.message}`);
+                }
+            }
+
+            const manifest = {
+                runId: id,
+                sweepstakes: { id: definition.id, name: definition.name, url: definition.url },
+                dryRun,
+                startedAt: now.toISOString(),
+                endedAt: endedAt.toISOString(),
+                durationMs: endedAt - now,
+                success,
+                status,
+                evidence,
+                steps,
+                screenshots,
+                dumps,
+                console: consoleLines.length > 0 ? 'console.log' : null,
+                fields
+            };
+
+            try {
+                writeFileSync(join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+                logger.info(`Run artifacts saved to ${dir}`);
+            } catch (error) {
+                logger.warn(`Could not save the run manifest: ${error.message}`);
+            }
+
+            return manifest;
+        },
+
+        /**
+         * Prune old bundles, keeping this one. Never throws.
+         * @returns {string[]} - IDs of the removed runs
+         */
+        prune() {
+            try {
+                return pruneRuns(new Date(), id);
+            } catch (error) {
+                logger.warn(`Could not prune old run artifacts: ${error.message}`);
+                return [];
+            }
+        }
+    };
+}
+
+/**
+ * Total size of the files in a directory tree
+ * @param {string} path - Directory
+ * @returns {number} - Bytes
+ */
+function directorySize(path) {
+    return readdirSync(path, { withFileTypes: true }).reduce((total, entry) => {
+        const entryPath = join(path, entry.name);
+        return total + (entry.isDirectory() ? directorySize(entryPath) : statSync(entryPath).size);
+    }, 0);
+}
+
+/**
+ * Remove run bundles older than RUNS_KEEP_DAYS, then the oldest ones until
+ * all of them fit in RUNS_MAX_MB (0 turns either limit off)
+ * @param {Date} now - Current time
+ * @param {string} keep - Run ID never to remove (the run that just finished)
+ * @returns {string[]} - IDs of the removed runs
+ */
+export function pruneRuns(now = new Date(), keep = null) {
+    const { keepDays, maxMb } = config.runs;
+
+    if (!existsSync(config.paths.runs)) {
+        return [];
+    }
+
+    const runs = readdirSync(config.paths.runs, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => {
+            const path = join(config.paths.runs, entry.name);
+            return { id: entry.name, path, modified: statSync(path).mtimeMs, size: directorySize(path) };
+        })
+        .sort((a, b) => a.modified - b.modified);
+
+    let total = runs.reduce((sum, run) => sum + run.size, 0);
+    const removed = [];
+
+    for (const run of runs) {
+        if (run.id === keep) {
+            continue;
+        }
+
+        const expired = keepDays > 0 && now - run.modified > keepDays * DAY;
+        const overSize = maxMb > 0 && total > maxMb * MB;
+
+        if (expired || overSize) {
+            rmSync(run.path, { recursive: true, force: true });
+            total -= run.size;
+            removed.push(run.id);
+        }
+    }
+
+    if (removed.length > 0) {
+        logger.info(`🧹 Removed ${removed.length} old run bundle(s) from ${config.paths.runs}`);
+    }
+
+    return removed;
+}
+
+/**
+ * Read the manifests of the run bundles still on disk
+ * @returns {Object[]} - Manifests, oldest first (bundles without a readable one are left out)
+ */
+export function readRunManifests() {
+    if (!existsSync(config.paths.runs)) {
+        return [];
+    }
+
+    return readdirSync(config.paths.runs, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => {
+            try {
+                return JSON.parse(readFileSync(join(config.paths.runs, entry.name, 'manifest.json'), 'utf8'));
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+}
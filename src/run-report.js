@@ -0,0 +1,289 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, basename } from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { sweepstakes, belongsToSweepstakes } from './sweepstakes.js';
+import { isEnteredRecord } from './outcome.js';
+import { loadHistory } from './history-commands.js';
+import { readRunManifests } from './run-artifacts.js';
+import { getDayKey, formatInZone, isDayKey, addDays } from './timezone.js';
+
+// How far back the report goes without --since
+const DEFAULT_DAYS = 30;
+
+/**
+ * What happened on a contest day, for the calendar
+ */
+export const DAY_STATUS = {
+    ENTERED: 'entered',
+    // Tried, but no entry counted
+    FAILED: 'failed',
+    // No attempt at all
+    MISSED: 'missed',
+    // Today, not entered yet
+    PENDING: 'pending',
+    // Before the first recorded attempt
+    NONE: 'none'
+};
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * Status of every contest day from `from` to today for one sweepstakes
+ * @param {Object[]} records - That sweepstakes' submission records
+ * @param {string} from - First day, YYYY-MM-DD (ET)
+ * @param {Date} now - Current time
+ * @returns {Object[]} - [{ day, status, attempts }]
+ */
+export function calendarDays(records, from, now = new Date()) {
+    const today = getDayKey(now);
+    const firstDay = records.length > 0
+        ? records.map(r => getDayKey(r.timestamp)).sort()[0]
+        : today;
+    const days = [];
+
+    for (let day = from; day <= today; day = addDays(day, 1)) {
+        const attempts = records.filter(r => getDayKey(r.timestamp) === day);
+        let status;
+
+        if (attempts.some(isEnteredRecord)) {
+            status = DAY_STATUS.ENTERED;
+        } else if (day === today) {
+            status = attempts.length > 0 ? DAY_STATUS.FAILED : DAY_STATUS.PENDING;
+        } else if (attempts.length > 0) {
+            status = DAY_STATUS.FAILED;
+        } else {
+            status = day < firstDay ? DAY_STATUS.NONE : DAY_STATUS.MISSED;
+        }
+
+        days.push({ day, status, attempts: attempts.length });
+    }
+
+    return days;
+}
+
+/**
+ * One timeline entry per run: the run bundle's manifest where it still
+ * exists, otherwise what the submission record says
+ * @param {Object[]} records - Submission records
+ * @param {Object[]} manifests - From readRunManifests()
+ * @returns {Object[]} - Runs, newest first
+ */
+export function collectRuns(records, manifests) {
+    const byId = new Map(manifests.map(manifest => [manifest.runId, manifest]));
+
+    const fromRecords = records.map(record => {
+        const manifest = record.runId ? byId.get(record.runId) : null;
+        byId.delete(record.runId);
+
+        return {
+            runId: record.runId || null,
+            site: record.site,
+            name: manifest?.sweepstakes.name || sweepstakes[record.site]?.name || record.site,
+            startedAt: manifest?.startedAt || record.timestamp,
+            durationMs: manifest?.durationMs ?? null,
+            dryRun: false,
+            entered: isEnteredRecord(record),
+            status: record.status || (record.success ? 'success' : 'failed'),
+            evidence: record.evidence || null,
+            steps: manifest?.steps || [],
+            fields: manifest?.fields || record.fields || null,
+            screenshots: manifest
+                ? manifest.screenshots.map(screenshot => join(config.paths.runs, manifest.runId, screenshot.name))
+                : [record.screenshot].filter(Boolean)
+        };
+    });
+
+    // Dry runs have a bundle but no submission record
+    const dryRuns = [...byId.values()].filter(manifest => manifest.dryRun).map(manifest => ({
+        runId: manifest.runId,
+        site: manifest.sweepstakes.id,
+        name: manifest.sweepstakes.name,
+        startedAt: manifest.startedAt,
+        durationMs: manifest.durationMs,
+        dryRun: true,
+        entered: false,
+        status: manifest.status,
+        evidence: manifest.evidence,
+        steps: manifest.steps,
+        fields: manifest.fields,
+        screenshots: manifest.screenshots.map(screenshot => join(config.paths.runs, manifest.runId, screenshot.name))
+    }));
+
+    return [...fromRecords, ...dryRuns].sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+}
+
+/**
+ * A screenshot as an <img> with the image inlined, so the report is one file
+ */
+function screenshotFigure(path) {
+    if (!existsSync(path)) {
+        return `<figure class="gone">${escapeHtml(basename(path))} (removed)</figure>`;
+    }
+
+    const data = readFileSync(path).toString('base64');
+    return `<figure><img loading="lazy" src="data:image/png;base64,${data}" alt=""><figcaption>${escapeHtml(basename(path))}</figcaption></figure>`;
+}
+
+/**
+ * Calendar of one sweepstakes, a month per block
+ */
+function renderCalendar(name, days) {
+    const months = new Map();
+    for (const day of days) {
+        const month = day.day.slice(0, 7);
+        months.set(month, [...(months.get(month) || []), day]);
+    }
+
+    const blocks = [...months.entries()].map(([month, monthDays]) => {
+        // Monday-first weekday of the first day shown in the month
+        const offset = (new Date(`${monthDays[0].day}T12:00:00Z`).getUTCDay() + 6) % 7;
+        const blanks = '<span></span>'.repeat(offset);
+        const cells = monthDays.map(({ day, status, attempts }) =>
+            `<span class="day ${status}" title="${day}: ${status}${attempts ? ` (${attempts} attempt(s))` : ''}">${Number(day.slice(8))}</span>`
+        ).join('');
+
+        const label = new Date(`${month}-01T12:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        return `<div class="month"><h4>${label}</h4><div class="grid">${'<b>M</b><b>T</b><b>W</b><b>T</b><b>F</b><b>S</b><b>S</b>'}${blanks}${cells}</div></div>`;
+    }).join('');
+
+    return `<section class="calendar"><h3>${escapeHtml(name)}</h3>${blocks}</section>`;
+}
+
+/**
+ * Timeline of one run: steps, field report, failure reason and screenshots
+ */
+function renderRun(run) {
+    const started = new Date(run.startedAt);
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+    const steps = run.steps.length > 0
+        ? `<table><tr><th>Step</th><th>Started</th><th>Took</th><th>Error</th></tr>${run.steps.map(step => `<tr class="${step.error ? 'bad' : ''}">
+            <td>${escapeHtml(step.name)}</td>
+            <td>+${seconds(new Date(step.startedAt) - started)}</td>
+            <td>${step.durationMs === null ? '-' : seconds(step.durationMs)}</td>
+            <td>${escapeHtml(step.error || '')}</td></tr>`).join('')}</table>`
+        : '<p class="muted">No step timings (run bundle removed or recorded before they were kept)</p>';
+
+    const fields = run.fields?.fields?.length > 0
+        ? `<table><tr><th>Step</th><th>Field</th><th>Status</th><th>Message</th></tr>${run.fields.fields.map(field => `<tr class="${field.status}">
+            <td>${escapeHtml(field.step)}</td><td>${escapeHtml(field.field)}</td>
+            <td>${escapeHtml(field.status)}</td><td>${escapeHtml(field.message || '')}</td></tr>`).join('')}</table>`
+        : '';
+
+    const reason = !run.entered && !run.dryRun
+        ? `<p class="reason">❌ ${escapeHtml(run.status)}${run.evidence?.match ? `: ${escapeHtml(run.evidence.match)}` : ''}</p>`
+        : '';
+
+    // Every screenshot of a failed run; for the rest the last one is enough
+    const screenshots = run.entered || run.dryRun ? run.screenshots.slice(-1) : run.screenshots;
+
+    return `<details class="run ${run.entered ? 'entered' : run.dryRun ? 'dry-run' : 'failed'}"${run.entered || run.dryRun ? '' : ' open'}>
+        <summary>${escapeHtml(formatInZone(started))} · ${escapeHtml(run.name)} · <b>${escapeHtml(run.dryRun ? 'dry run' : run.status)}</b>${run.durationMs !== null ? ` · ${seconds(run.durationMs)}` : ''}${run.runId ? ` <code>${escapeHtml(run.runId)}</code>` : ''}</summary>
+        ${reason}
+        ${steps}
+        ${fields}
+        <div class="shots">${screenshots.map(screenshotFigure).join('')}</div>
+    </details>`;
+}
+
+const styles = `
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    .muted { color: #888; }
+    .calendars { display: flex; flex-wrap: wrap; gap: 2rem; }
+    .month { display: inline-block; margin-right: 1.5rem; vertical-align: top; }
+    .month h4 { margin: .5rem 0; }
+    .grid { display: grid; grid-template-columns: repeat(7, 2rem); gap: 3px; text-align: center; }
+    .grid b { font-size: .75rem; color: #888; }
+    .day { line-height: 2rem; border-radius: 4px; font-size: .85rem; }
+    .day.entered { background: #4caf50; color: #fff; }
+    .day.failed { background: #e53935; color: #fff; }
+    .day.missed { background: #ffb74d; }
+    .day.pending { outline: 2px dashed #999; }
+    .day.none { color: #bbb; }
+    .legend span { padding: 0 .5rem; margin-right: .5rem; }
+    .run { border: 1px solid #ddd; border-left: 6px solid #999; border-radius: 4px; margin: .5rem 0; padding: .5rem 1rem; }
+    .run.entered { border-left-color: #4caf50; }
+    .run.failed { border-left-color: #e53935; }
+    .run summary { cursor: pointer; }
+    .reason { color: #c62828; font-weight: bold; }
+    table { border-collapse: collapse; margin: .75rem 0; font-size: .85rem; }
+    th, td { border: 1px solid #ddd; padding: .25rem .5rem; text-align: left; }
+    tr.bad, tr.rejected, tr.missing { background: #ffebee; }
+    .shots { display: flex; flex-wrap: wrap; gap: .75rem; }
+    figure { margin: 0; }
+    figure img { width: 320px; border: 1px solid #ccc; }
+    figcaption, .gone { font-size: .75rem; color: #666; }
+`;
+
+/**
+ * Build the report page
+ * @param {Object} options - { site, since } (see loadHistory); since defaults to 30 days ago
+ * @param {Date} now - Current time
+ * @returns {Promise<string>} - Self-contained HTML
+ */
+export async function buildReport({ site, since } = {}, now = new Date()) {
+    if (since && !isDayKey(since)) {
+        throw new Error(`--since must be a date written YYYY-MM-DD, not "${since}"`);
+    }
+
+    const from = since || addDays(getDayKey(now), -(DEFAULT_DAYS - 1));
+    const records = await loadHistory({ site, since: from });
+    const manifests = readRunManifests()
+        .filter(manifest => !site || site === 'both' || belongsToSweepstakes(manifest.sweepstakes.id, site))
+        .filter(manifest => getDayKey(manifest.startedAt) >= from);
+
+    const sites = [...new Set([
+        ...Object.values(sweepstakes).filter(definition => definition.enabled && !definition.discover).map(definition => definition.id),
+        ...records.map(record => record.site)
+    ])].filter(id => !site || site === 'both' || belongsToSweepstakes(id, site));
+
+    const calendars = sites.map(id => renderCalendar(
+        sweepstakes[id]?.name || id,
+        calendarDays(records.filter(record => record.site === id), from, now)
+    )).join('');
+
+    const runs = collectRuns(records, manifests);
+    const legend = Object.values(DAY_STATUS).map(status => `<span class="day ${status}">${status}</span>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Sweepstakes report ${escapeHtml(from)} to ${escapeHtml(getDayKey(now))}</title>
+<style>${styles}</style>
+</head>
+<body>
+<h1>Sweepstakes report</h1>
+<p class="muted">${escapeHtml(from)} to ${escapeHtml(getDayKey(now))} (contest days in Eastern Time) · generated ${escapeHtml(formatInZone(now))}</p>
+<h2>Entries by day</h2>
+<p class="legend">${legend}</p>
+<div class="calendars">${calendars || '<p class="muted">No sweepstakes</p>'}</div>
+<h2>Runs (${runs.length})</h2>
+${runs.map(renderRun).join('\n') || '<p class="muted">No runs in this period</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the HTML report to a file
+ * @param {Object} options - { site, since, output } (output defaults to data/reports/)
+ * @returns {Promise<string>} - Path written
+ */
+export async function writeReport({ output, ...filters } = {}) {
+    const path = output || join(config.paths.data, 'reports', `report-${getDayKey(new Date())}.html`);
+
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, await buildReport(filters));
+
+    logger.success(`Report written to ${path}`);
+    return path;
+}
@@ -1,8 +1,422 @@
 import cron from 'node-cron';
 import { config } from './config.js';
-import { logger } from './logger.js';
-import { submitHGTVEntry } from './hgtv-entry.js';
-import { submitFoodNetworkEntry } from './food-network-entry.js';
+import { logger, withLogContext } from './logger.js';
+import { sweepstakes } from './sweepstakes.js';
+import { runWayinEntry } from './wayin-entry.js';
+import { startDashboard } from './dashboard.js';
+import { runBatch } from './browser.js';
+import { OUTCOME, isRetryableOutcome } from './outcome.js';
+import { countConsecutiveFailures } from './utils.js';
+import { checkRateLimit } from './rate-limit.js';
+import { notify, NOTIFY_EVENT } from './notifier.js';
+import { resolveSweepstakes } from './discovery.js';
+import { resolveEntryPeriod, getPeriodStatus, PERIOD_STATE } from './entry-period.js';
+import { getFireTimesSoFarToday, getNextFireTimes, countFireTimesPerDay } from './cron-schedule.js';
+import { CONTEST_TIMEZONE, getZonedParts, zonedTimeToDate, formatInZone } from './timezone.js';
+
+// Cron tasks by sweepstakes ID, so a sweepstakes that has ended can be unscheduled
+const scheduledTasks = new Map();
+
+// Sweepstakes paused from the dashboard, and those with a run in progress
+const paused = new Set();
+const running = new Set();
+
+const days = (n) => `${n} day${n === 1 ? '' : 's'}`;
+
+/**
+ * Check a sweepstakes' entry period before a run. Runs before it starts
+ * are skipped; once it has ended the sweepstakes is disabled and its cron
+ * task stopped. In the last days a warning is logged on every run.
+ * @param {Object} definition - Sweepstakes definition
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - Whether to go ahead with the run
+ */
+export async function checkEntryPeriod(definition, now = new Date()) {
+    const { name } = definition;
+    const period = await resolveEntryPeriod(definition, now);
+    const { state, daysLeft, startsIn } = getPeriodStatus(period, now);
+
+    if (state === PERIOD_STATE.UPCOMING) {
+        logger.info(`⏭️  ${name} entry period starts ${formatInZone(new Date(period.start), period.timezone)} ` +
+            `(in ${days(startsIn)}), skipping`);
+        return false;
+    }
+
+    if (state === PERIOD_STATE.ENDED) {
+        logger.warn(`🏁 ${name} ended ${formatInZone(new Date(period.end), period.timezone)}, disabling its entries`);
+        definition.enabled = false;
+        scheduledTasks.get(definition.id)?.stop();
+        return false;
+    }
+
+    if (daysLeft !== null && daysLeft <= config.scheduler.endingSoonDays) {
+        logger.warn(`⏳ ${name} ${daysLeft === 0 ? 'ends today' : `ends in ${days(daysLeft)}`} ` +
+            `(${formatInZone(new Date(period.end), period.timezone)})`);
+    }
+
+    return true;
+}
+
+/**
+ * Delay before retrying after a failed attempt
+ * @param {Object} retry - Retry policy (see config.js)
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+function retryDelay(retry, attempt) {
+    return retry.backoffMinutes * 60 * 1000 * Math.pow(retry.backoffMultiplier, attempt - 1);
+}
+
+/**
+ * Notify every N failures in a row for a sweepstakes (N from config)
+ * @param {Object} definition - Sweepstakes definition
+ */
+async function notifyConsecutiveFailures(definition) {
+    const threshold = config.notifications.consecutiveFailures;
+
+    try {
+        const failures = await countConsecutiveFailures(definition.id);
+
+        if (failures > 0 && failures % threshold === 0) {
+            await notify(NOTIFY_EVENT.CONSECUTIVE_FAILURES, {
+                site: definition.id,
+                title: `🚨 ${definition.name}: ${failures} failed entries in a row`,
+                message: `The last ${failures} ${definition.name} entry attempts failed. Check logs/error.log and the screenshots.`,
+                details: { failures }
+            });
+        }
+    } catch (error) {
+        logger.warn(`Could not count consecutive failures: ${error.message}`);
+    }
+}
+
+/**
+ * Run a scheduled entry, retrying retryable failures later the same
+ * contest day according to the sweepstakes' retry policy. Attempts
+ * outside the entry period are skipped. Retries run like a scheduled run
+ * of the scheduled sweepstakes, so they never overlap another run of it.
+ * @param {Object} definition - Sweepstakes definition
+ * @param {number} attempt - Attempt number (1-based)
+ * @param {Object} scheduled - The scheduled sweepstakes: the listing, for
+ *   a discovered sweepstakes
+ * @returns {Promise<Object>} - Result of this attempt (see runWayinEntry)
+ */
+export async function runScheduledEntry(definition, attempt = 1, scheduled = definition) {
+    const { name, retry } = definition;
+
+    if (!(await checkEntryPeriod(definition))) {
+        return { success: false, status: OUTCOME.OUTSIDE_PERIOD, evidence: null };
+    }
+
+    const result = await runWayinEntry(definition, false);
+
+    // Entered, or a success is already on record for today
+    if (result.success || result.status === OUTCOME.RATE_LIMITED) {
+        return result;
+    }
+
+    await notifyConsecutiveFailures(definition);
+
+    if (!isRetryableOutcome(result.status)) {
+        logger.warn(`${name}: "${result.status}" is not retryable, giving up for today`);
+        return result;
+    }
+
+    if (attempt >= retry.maxAttempts) {
+        logger.warn(`${name}: giving up after ${attempt} attempt(s)`);
+        return result;
+    }
+
+    const delay = retryDelay(retry, attempt);
+    if (!tooLateToRetry(definition, delay)) {
+        logger.info(`🔁 ${name} attempt ${attempt} failed (${result.status}), retrying at ` +
+            `${formatInZone(new Date(Date.now() + delay))} (attempt ${attempt + 1}/${retry.maxAttempts})`);
+        scheduleRetry(definition, attempt + 1, scheduled, delay);
+    }
+
+    return result;
+}
+
+/**
+ * Whether a retry after a delay would be past the sweepstakes' latest
+ * retry time today (logged when it is)
+ * @param {Object} definition - Sweepstakes definition
+ * @param {number} delay - Milliseconds from now
+ * @returns {boolean}
+ */
+function tooLateToRetry(definition, delay) {
+    const { name, retry } = definition;
+    const latest = zonedTimeToDate(getZonedParts(new Date()), retry.latestTime);
+
+    if (Date.now() + delay > latest) {
+        logger.warn(`${name}: next retry would be after ${retry.latestTime} ET, giving up for today`);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Run a retry after a delay, as a run of the scheduled sweepstakes. While
+ * another run of it is in progress (for a discovered sweepstakes, often the
+ * listing run that is still entering the others) the retry waits another
+ * delay rather than being dropped; while it is paused, the retry is dropped.
+ * @param {Object} definition - Sweepstakes definition
+ * @param {number} attempt - Attempt number of the retry
+ * @param {Object} scheduled - The scheduled sweepstakes (see runScheduledEntry)
+ * @param {number} delay - Milliseconds to wait
+ */
+function scheduleRetry(definition, attempt, scheduled, delay) {
+    const { name } = definition;
+
+    setTimeout(() => {
+        if (paused.has(scheduled.id)) {
+            logger.info(`⏸️  ${scheduled.name} is paused, dropping the ${name} retry`);
+            return;
+        }
+
+        if (running.has(scheduled.id)) {
+            if (!tooLateToRetry(definition, delay)) {
+                logger.info(`⏳ ${scheduled.name} is still running, retrying ${name} at ${formatInZone(new Date(Date.now() + delay))}`);
+                scheduleRetry(definition, attempt, scheduled, delay);
+            }
+            return;
+        }
+
+        runExclusive(scheduled, () => runScheduledEntry(definition, attempt, scheduled)).catch(error => {
+            logger.error(`${name} retry failed: ${error.message}`);
+        });
+    }, delay);
+}
+
+/**
+ * Run something for a sweepstakes in its own browser batch, unless a run of
+ * it is already in progress (a slow run, a catch-up or one started from the
+ * dashboard), so two runs of the same sweepstakes never overlap
+ * @param {Object} definition - Sweepstakes definition
+ * @param {Function} run - async () => void
+ * @returns {Promise<boolean>} - Whether it ran
+ */
+async function runExclusive(definition, run) {
+    if (running.has(definition.id)) {
+        logger.warn(`⏭️  ${definition.name} is already running, skipping this run`);
+        return false;
+    }
+
+    running.add(definition.id);
+    try {
+        await withLogContext({ sweepstakes: definition.id }, () => runBatch([definition], run));
+        return true;
+    } finally {
+        running.delete(definition.id);
+    }
+}
+
+/**
+ * Run a scheduled sweepstakes: a single entry, or for a listing, one entry
+ * (with its own retries) per open sweepstakes discovered on it. Discovery
+ * and the entries share one browser.
+ * @param {Object} definition - Sweepstakes definition
+ */
+export async function runScheduledSweepstakes(definition) {
+    // A listing's own period (if configured) covers everything on it
+    if (definition.discover && !(await checkEntryPeriod(definition))) {
+        return;
+    }
+
+    await runExclusive(definition, () => enterSweepstakes(definition));
+}
+
+/**
+ * Discover and enter the sweepstakes of a scheduled run
+ * @param {Object} definition - Sweepstakes definition
+ */
+async function enterSweepstakes(definition) {
+    let definitions;
+
+    try {
+        definitions = await resolveSweepstakes(definition);
+    } catch (error) {
+        logger.failure(`${definition.name}: could not discover open sweepstakes: ${error.message}`);
+        await notify(NOTIFY_EVENT.FAILURE, {
+            site: definition.id,
+            title: `❌ ${definition.name}: sweepstakes discovery failed`,
+            message: `Could not read the sweepstakes listing at ${definition.url}: ${error.message}`,
+            details: { status: 'discovery-failed' }
+        });
+        return;
+    }
+
+    for (const entry of definitions) {
+        await runScheduledEntry(entry, 1, definition);
+    }
+}
+
+/**
+ * Run entries whose scheduled time already passed today without a
+ * successful entry, e.g. after a pm2 restart or the machine sleeping
+ * through 9:00 ET. Runs one at a time, in one browser, to keep memory use
+ * down.
+ * @param {Date} now - Current time
+ */
+export async function catchUpMissedEntries(now = new Date()) {
+    const { catchUp, catchUpCutoff } = config.scheduler;
+
+    if (!catchUp) {
+        return;
+    }
+
+    if (now > zonedTimeToDate(getZonedParts(now), catchUpCutoff)) {
+        logger.info(`⏭️  Past the ${catchUpCutoff} ET catch-up cutoff, not checking for missed entries`);
+        return;
+    }
+
+    const missed = [];
+
+    for (const definition of Object.values(sweepstakes)) {
+        if (!definition.enabled) {
+            continue;
+        }
+
+        const fireTimes = getFireTimesSoFarToday(definition.schedule, now);
+        if (fireTimes.length === 0) {
+            continue; // Not due yet today
+        }
+
+        // The rule the entry itself enforces (it logs why an entry isn't
+        // due, and refuses when the history can't be read). Listings are
+        // checked per discovered sweepstakes when they run.
+        if (!definition.discover && !(await checkRateLimit(definition, now))) {
+            continue;
+        }
+
+        logger.info(`⏪ ${definition.name} missed its ${formatInZone(fireTimes[fireTimes.length - 1])} run, queueing it now`);
+        missed.push(definition);
+    }
+
+    if (missed.length === 0) {
+        return;
+    }
+
+    await runBatch(missed, async () => {
+        for (const definition of missed) {
+            await runScheduledSweepstakes(definition);
+        }
+    });
+}
+
+/**
+ * Check the entry period of every enabled sweepstakes, logging where each
+ * stands and disabling those that have ended
+ * @param {Date} now - Current time
+ */
+async function checkEntryPeriods(now = new Date()) {
+    for (const definition of Object.values(sweepstakes)) {
+        if (definition.enabled) {
+            await checkEntryPeriod(definition, now);
+        }
+    }
+}
+
+/**
+ * Where each sweepstakes stands in the scheduler
+ * @param {Date} now - Current time
+ * @returns {Object[]} - [{ id, name, schedule, enabled, paused, running, nextRun }]
+ *   (nextRun is an ISO time, or null when it won't run on schedule)
+ */
+export function getSchedulerState(now = new Date()) {
+    return Object.values(sweepstakes).map(definition => {
+        const { id, name, schedule, enabled } = definition;
+        const scheduled = enabled && scheduledTasks.has(id) && !paused.has(id);
+        const [nextRun] = scheduled ? getNextFireTimes(schedule, 1, now, 8) : [];
+
+        return {
+            id,
+            name,
+            schedule,
+            enabled,
+            paused: paused.has(id),
+            running: running.has(id),
+            nextRun: nextRun ? nextRun.toISOString() : null
+        };
+    });
+}
+
+/**
+ * Stop a sweepstakes' scheduled runs until it is resumed (or the scheduler
+ * restarts)
+ * @param {string} id - Sweepstakes ID
+ * @returns {boolean} - Whether it was scheduled
+ */
+export function pauseSweepstakes(id) {
+    const task = scheduledTasks.get(id);
+    if (!task) {
+        return false;
+    }
+
+    task.stop();
+    paused.add(id);
+    logger.info(`⏸️  ${sweepstakes[id].name} paused`);
+    return true;
+}
+
+/**
+ * Start a paused sweepstakes' scheduled runs again
+ * @param {string} id - Sweepstakes ID
+ * @returns {boolean} - Whether it was scheduled
+ */
+export function resumeSweepstakes(id) {
+    const task = scheduledTasks.get(id);
+    if (!task || !sweepstakes[id].enabled) {
+        return false;
+    }
+
+    task.start();
+    paused.delete(id);
+    logger.info(`▶️  ${sweepstakes[id].name} resumed`);
+    return true;
+}
+
+/**
+ * Start a run of a sweepstakes now, in the background: a scheduled run
+ * (with retries) or a dry run. Paused sweepstakes can still be run this
+ * way; disabled ones only dry-run.
+ * @param {string} id - Sweepstakes ID
+ * @param {Object} options - { dryRun }
+ * @returns {string|null} - Why the run can't start, or null if it started
+ */
+export function triggerRun(id, { dryRun = false } = {}) {
+    const definition = sweepstakes[id];
+
+    if (running.has(id)) {
+        return `${definition.name} is already running`;
+    }
+    if (!dryRun && !definition.enabled) {
+        return `${definition.name} is disabled`;
+    }
+
+    logger.info(`▶️  ${definition.name} ${dryRun ? 'dry run' : 'run'} started from the dashboard`);
+
+    const run = dryRun
+        ? dryRunSweepstakes(definition)
+        : runScheduledSweepstakes(definition);
+
+    run.catch(error => {
+        logger.error(`${definition.name} run failed: ${error.message}`);
+    });
+    return null;
+}
+
+/**
+ * Fill in every form of a sweepstakes without submitting
+ * @param {Object} definition - Sweepstakes definition
+ */
+async function dryRunSweepstakes(definition) {
+    await runExclusive(definition, async () => {
+        for (const entry of await resolveSweepstakes(definition)) {
+            await runWayinEntry(entry, true);
+        }
+    });
+}
 
 /**
  * Start the scheduled sweepstakes entries
@@ -10,70 +424,153 @@ import { submitFoodNetworkEntry } from './food-network-entry.js';
 export function startScheduler() {
     logger.info('🚀 Starting sweepstakes scheduler...');
 
-    // Schedule HGTV entries
-    if (config.sweepstakes.hgtv.enabled) {
-        const hgtvSchedule = config.sweepstakes.hgtv.schedule;
-        logger.info(`📅 HGTV scheduled: ${hgtvSchedule}`);
+    for (const definition of Object.values(sweepstakes)) {
+        const { name, schedule } = definition;
 
-        cron.schedule(hgtvSchedule, async () => {
-            logger.info('⏰ HGTV scheduled entry triggered');
-            await submitHGTVEntry(false);
-        }, {
-            timezone: 'America/New_York' // HGTV is based in Eastern Time
-        });
-    } else {
-        logger.info('⏭️  HGTV entries disabled');
-    }
+        if (!definition.enabled) {
+            logger.info(`⏭️  ${name} entries disabled`);
+            continue;
+        }
 
-    // Schedule Food Network entries
-    if (config.sweepstakes.foodNetwork.enabled) {
-        const fnSchedule = config.sweepstakes.foodNetwork.schedule;
-        logger.info(`📅 Food Network scheduled: ${fnSchedule}`);
+        logger.info(`📅 ${name} scheduled: ${schedule}`);
+        logger.info(`   Retries: up to ${definition.retry.maxAttempts} attempts, until ${definition.retry.latestTime} ET`);
 
-        cron.schedule(fnSchedule, async () => {
-            logger.info('⏰ Food Network scheduled entry triggered');
-            await submitFoodNetworkEntry(false);
+        scheduledTasks.set(definition.id, cron.schedule(schedule, async () => {
+            logger.info(`⏰ ${name} scheduled entry triggered`);
+            await runScheduledSweepstakes(definition);
         }, {
-            timezone: 'America/New_York'
-        });
-    } else {
-        logger.info('⏭️  Food Network entries disabled');
+            timezone: CONTEST_TIMEZONE // HGTV and Food Network are based in Eastern Time
+        }));
     }
 
     logger.success('Scheduler started successfully!');
     logger.info('Press Ctrl+C to stop the scheduler');
+
+    if (config.dashboard.enabled) {
+        startDashboard({
+            state: getSchedulerState,
+            run: triggerRun,
+            pause: pauseSweepstakes,
+            resume: resumeSweepstakes
+        }).catch(error => {
+            logger.failure(`Dashboard could not start: ${error.message}`);
+        });
+    }
+
+    // Disable sweepstakes that ended while we weren't running, then catch up
+    checkEntryPeriods()
+        .then(() => catchUpMissedEntries())
+        .catch(error => {
+            logger.error(`Catch-up run failed: ${error.message}`);
+        });
 }
 
 /**
- * Test the scheduler configuration without waiting
+ * Log a sweepstakes' entry period, where it stands and its daily entry limit
+ * @param {Object} definition - Sweepstakes definition
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - The period (see resolveEntryPeriod)
  */
-export async function testScheduler() {
-    logger.info('🧪 Testing scheduler configuration...');
+async function reportEntryPeriod(definition, now = new Date()) {
+    const { id, name } = definition;
+    const period = await resolveEntryPeriod(definition, now);
+    const { state, daysLeft, startsIn } = getPeriodStatus(period, now);
+    const format = (iso) => (iso ? formatInZone(new Date(iso), period.timezone) : '?');
 
-    if (config.sweepstakes.hgtv.enabled) {
-        logger.info(`✅ HGTV enabled - Schedule: ${config.sweepstakes.hgtv.schedule}`);
+    if (state === PERIOD_STATE.UNKNOWN) {
+        if (definition.discover) {
+            logger.info('📆 Entry periods are read for each discovered sweepstakes');
+        } else {
+            logger.warn(`⚠️  ${name} entry period unknown - set ${id.toUpperCase()}_END or ${id.toUpperCase()}_RULES_URL`);
+        }
+    } else {
+        logger.info(`📆 Entry period (from ${period.source}): ${format(period.start)} to ${format(period.end)}`);
 
-        // Validate cron expression
-        if (cron.validate(config.sweepstakes.hgtv.schedule)) {
-            logger.success('HGTV schedule is valid');
+        if (state === PERIOD_STATE.UPCOMING) {
+            logger.warn(`⏭️  Not started yet - starts in ${days(startsIn)}, runs are skipped until then`);
+        } else if (state === PERIOD_STATE.ENDED) {
+            logger.warn(`🏁 Ended - the scheduler disables ${name} on its next run`);
+        } else if (daysLeft === null) {
+            logger.info('   Open, no end date');
+        } else if (daysLeft <= config.scheduler.endingSoonDays) {
+            logger.warn(`⏳ Open, ${daysLeft === 0 ? 'ends today' : `ends in ${days(daysLeft)}`}`);
         } else {
-            logger.failure('HGTV schedule is INVALID');
+            logger.info(`   Open, ends in ${days(daysLeft)}`);
         }
     }
 
-    if (config.sweepstakes.foodNetwork.enabled) {
-        logger.info(`✅ Food Network enabled - Schedule: ${config.sweepstakes.foodNetwork.schedule}`);
+    logger.info(`   Daily entry limit: ${period.dailyLimit}`);
+    return period;
+}
+
+/**
+ * Test the scheduler configuration without waiting: validate each enabled
+ * schedule, print its next fire times, flag schedules that fire more often
+ * than the daily entry limit or skip contest days, and report each entry
+ * period
+ * @param {number} count - Number of upcoming runs to print per sweepstakes
+ * @returns {Promise<boolean>} - Whether every enabled schedule is valid
+ */
+export async function testScheduler(count = 5) {
+    logger.info('🧪 Testing scheduler configuration...');
+
+    const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const checkDays = 14;
+    let allValid = true;
+
+    for (const definition of Object.values(sweepstakes)) {
+        const { name, enabled, schedule } = definition;
+
+        if (!enabled) {
+            logger.info(`⏭️  ${name} disabled`);
+            continue;
+        }
+
+        logger.info(`\n✅ ${name} enabled - Schedule: ${schedule}`);
 
         // Validate cron expression
-        if (cron.validate(config.sweepstakes.foodNetwork.schedule)) {
-            logger.success('Food Network schedule is valid');
+        if (!cron.validate(schedule)) {
+            logger.failure(`${name} schedule is INVALID`);
+            allValid = false;
+            continue;
+        }
+
+        logger.success(`${name} schedule is valid`);
+
+        const fireTimes = getNextFireTimes(schedule, count);
+        if (fireTimes.length === 0) {
+            logger.warn(`⚠️  ${name} schedule never fires in the next year`);
         } else {
-            logger.failure('Food Network schedule is INVALID');
+            logger.info(`📋 Next ${fireTimes.length} scheduled runs (ET | ${localTimeZone}):`);
+            fireTimes.forEach(time => {
+                logger.info(`   ${formatInZone(time)} | ${formatInZone(time, localTimeZone)}`);
+            });
+        }
+
+        const { dailyLimit } = await reportEntryPeriod(definition);
+
+        // Entries past the daily limit don't count, and a day without a run is a missed entry
+        const perDay = countFireTimesPerDay(schedule, checkDays);
+        const repeated = perDay.filter(d => d.count > dailyLimit);
+        const missing = perDay.filter(d => d.count === 0);
+
+        if (repeated.length > 0) {
+            logger.warn(`⚠️  ${name} fires more than ${dailyLimit === 1 ? 'once' : `${dailyLimit} times`} on ${repeated.length} ` +
+                `of the next ${checkDays} contest days (e.g. ${repeated[0].count} times on ${repeated[0].day}) - ` +
+                `only ${dailyLimit === 1 ? 'one entry' : `${dailyLimit} entries`} per day count${dailyLimit === 1 ? 's' : ''}`);
         }
+
+        if (missing.length > 0) {
+            logger.warn(`⚠️  ${name} does not fire on ${missing.length} of the next ${checkDays} contest days ` +
+                `(${missing.slice(0, 5).map(d => d.day).join(', ')}${missing.length > 5 ? ', ...' : ''})`);
+        }
+    }
+
+    if (allValid) {
+        logger.info('\nScheduler test complete!');
+    } else {
+        logger.failure('Scheduler test found invalid schedules');
     }
 
-    logger.info('\n📋 Next scheduled runs:');
-    logger.info('HGTV: Check your cron schedule');
-    logger.info('Food Network: Check your cron schedule');
-    logger.info('\nScheduler test complete!');
+    return allValid;
 }
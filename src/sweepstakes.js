@@ -0,0 +1,103 @@
+import { config } from './config.js';
+
+/**
+ * Default Wayin form selectors. Both HGTV and Food Network embed the same
+ * Wayin form, so definitions only override what differs.
+ */
+const wayinSelectors = {
+    iframe: 'iframe[id^="ngxFrame"]',
+    email: 'xReturningUserEmail',
+    checkUser: '#xCheckUser',
+    firstName: 'name_Firstname',
+    lastName: 'name_Lastname',
+    next: '.xActionNext',
+    triviaQuestion: '.xTriviaQuestion',
+    addressLine1: 'address_AddressLine1',
+    addressLine2: 'address_AddressLine2',
+    city: 'address_City',
+    state: 'address_State',
+    zipCode: 'address_ZipCode',
+    phone: 'phone_Phone',
+    dobMonth: 'dob_Month',
+    dobDay: 'dob_Day',
+    dobYear: 'dob_Year',
+    gender: 'gender',
+    submit: '.xSubmit'
+};
+
+/**
+ * Fields the Wayin form needs for a valid entry. Optional ones (address
+ * line 2, gender) are filled when configured but never block an entry.
+ */
+const defaultRequiredFields = [
+    'email', 'firstName', 'lastName',
+    'addressLine1', 'city', 'state', 'zipCode', 'phone',
+    'dobMonth', 'dobDay', 'dobYear'
+];
+
+/**
+ * Build a sweepstakes definition from the shared Wayin defaults
+ * @param {Object} definition - Sweepstakes-specific settings
+ * @returns {Object} - Complete definition
+ */
+function defineWayinSweepstakes(definition) {
+    return {
+        gotoTimeout: 30000,
+        iframeTimeout: 30000,
+        frameUrlPattern: 'wayin.com',
+        apiUrlPattern: 'wayin.com',
+        viewport: null,
+        slowMo: false,
+        // Listing pages: find the open sweepstakes on the page (see discovery.js)
+        discover: false,
+        allowList: [],
+        // Fields that must fill correctly (when shown) before we submit
+        requiredFields: defaultRequiredFields,
+        ...definition,
+        steps: {
+            email: true,
+            registration: true,
+            trivia: true,
+            address: true,
+            ...definition.steps
+        },
+        selectors: {
+            ...wayinSelectors,
+            ...definition.selectors
+        }
+    };
+}
+
+/**
+ * Wayin-hosted sweepstakes, keyed by ID. The ID doubles as the key used in
+ * the submission history and on the command line (--site=<id>).
+ */
+export const sweepstakes = {
+    hgtv: defineWayinSweepstakes({
+        id: 'hgtv',
+        name: 'HGTV',
+        ...config.sweepstakes.hgtv,
+        screenshotPrefix: 'hgtv',
+        gotoTimeout: 60000,
+        viewport: { width: 1280, height: 800 }
+    }),
+    foodnetwork: defineWayinSweepstakes({
+        id: 'foodnetwork',
+        name: 'Food Network',
+        ...config.sweepstakes.foodNetwork,
+        screenshotPrefix: 'foodnetwork',
+        slowMo: true
+    })
+};
+
+/**
+ * Whether a history record or run belongs to a sweepstakes, counting the
+ * sweepstakes discovered on a listing (foodnetwork-<slug>) as the listing's
+ * @param {string} site - Sweepstakes ID of the record or run
+ * @param {string} id - Sweepstakes ID asked for, e.g. --site
+ * @returns {boolean}
+ */
+export function belongsToSweepstakes(site, id) {
+    return site === id || String(site).startsWith(`${id}-`);
+}
+
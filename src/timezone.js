@@ -0,0 +1,132 @@
+/**
+ * Timezone helpers. Contest days for HGTV and Food Network follow
+ * Eastern Time, regardless of where the machine running this lives.
+ */
+export const CONTEST_TIMEZONE = 'America/New_York';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Wall-clock parts of a moment in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second, weekday } (month 1-12, weekday 0 = Sunday)
+ */
+export function getZonedParts(date, timeZone = CONTEST_TIMEZONE) {
+    const parts = {};
+
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: weekdays.indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Calendar day of a moment in a timezone
+ * @param {Date|string} date - Moment in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - YYYY-MM-DD
+ */
+export function getDayKey(date, timeZone = CONTEST_TIMEZONE) {
+    const { year, month, day } = getZonedParts(new Date(date), timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Whether a value is a real calendar day written YYYY-MM-DD
+ * @param {string} value - e.g. a --since option
+ * @returns {boolean}
+ */
+export function isDayKey(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+        return false;
+    }
+
+    // Month 13 or day 32 is no date at all; February 30 rolls over to March
+    const date = new Date(`${value}T12:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * The calendar day a number of days before or after another
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} count - Days to add (negative to go back)
+ * @returns {string} - YYYY-MM-DD
+ */
+export function addDays(day, count) {
+    const date = new Date(`${day}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Convert a wall-clock time on a given day in a timezone to a Date
+ * @param {Object} day - { year, month, day } (month 1-12)
+ * @param {string} time - HH:MM (24-hour)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToDate({ year, month, day }, time, timeZone = CONTEST_TIMEZONE) {
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Offset of the zone at a moment, in ms (wall clock minus UTC)
+    const offsetAt = (timestamp) => {
+        const parts = getZonedParts(new Date(timestamp), timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) -
+            Math.floor(timestamp / 1000) * 1000;
+    };
+
+    // Apply the offset twice so times near a DST change land correctly
+    let timestamp = wallClock - offsetAt(wallClock);
+    timestamp = wallClock - offsetAt(timestamp);
+
+    return new Date(timestamp);
+}
+
+/**
+ * Format a moment for log output in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - e.g. "Mon, Jan 6, 2025, 9:00 AM EST"
+ */
+export function formatInZone(date, timeZone = CONTEST_TIMEZONE) {
+    return date.toLocaleString('en-US', {
+        timeZone,
+        weekday: 'short',
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    });
+}
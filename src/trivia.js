@@ -0,0 +1,192 @@
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname } from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { writeFileAtomic } from './history-store.js';
+import { notify, NOTIFY_EVENT } from './notifier.js';
+
+/**
+ * What happened to the trivia question in a run
+ */
+export const TRIVIA_STATUS = {
+    ANSWERED: 'answered',
+    // Not in the answer bank
+    UNKNOWN: 'unknown',
+    // In the bank, but the answer isn't one of the options shown
+    NO_MATCH: 'no-match',
+    // The answer couldn't be selected
+    FAILED: 'failed'
+};
+
+/**
+ * Normalize question or answer text for lookups: case, punctuation and
+ * spacing don't matter
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeQuestion(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function readJson(path, fallback) {
+    return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : fallback;
+}
+
+/**
+ * Load the answer bank: { "<question>": "<answer>" }. Questions may be
+ * written as shown on the form; they are normalized here.
+ * @returns {Map<string, string>} - Normalized question -> answer
+ */
+export function loadAnswerBank() {
+    try {
+        const bank = readJson(config.paths.triviaAnswers, {});
+        return new Map(Object.entries(bank).map(([question, answer]) => [normalizeQuestion(question), answer]));
+    } catch (error) {
+        logger.warn(`Could not read trivia answer bank ${config.paths.triviaAnswers}: ${error.message}`);
+        return new Map();
+    }
+}
+
+/**
+ * Find the option to select for a question
+ * @param {Map<string, string>} bank - From loadAnswerBank
+ * @param {string} question - Question text
+ * @param {Object[]} options - [{ value, label }]
+ * @returns {Object} - { status, answer, option }
+ */
+export function findAnswer(bank, question, options) {
+    const answer = bank.get(normalizeQuestion(question));
+
+    if (answer === undefined) {
+        return { status: TRIVIA_STATUS.UNKNOWN, answer: null, option: null };
+    }
+
+    const wanted = normalizeQuestion(answer);
+    const option = options.find(o => normalizeQuestion(o.label) === wanted)
+        || options.find(o => normalizeQuestion(o.value) === wanted);
+
+    return { status: option ? TRIVIA_STATUS.ANSWERED : TRIVIA_STATUS.NO_MATCH, answer, option: option || null };
+}
+
+/**
+ * Read the trivia question and its answer options from the frame
+ * @param {Frame} frame - Wayin form frame
+ * @param {Object} selectors - Definition selectors (triviaQuestion)
+ * @returns {Promise<Object|null>} - { question, options: [{ value, label }] }, or null if none shown
+ */
+async function readTriviaQuestion(frame, selectors) {
+    return frame.evaluate((questionSelector) => {
+        const text = (element) => (element ? element.innerText || element.textContent || '' : '').trim().replace(/\s+/g, ' ');
+
+        const options = Array.from(document.querySelectorAll('input[type="radio"]'))
+            .filter(radio => radio.offsetParent !== null || radio.closest('label')?.offsetParent)
+            .map(radio => ({
+                value: radio.value,
+                label: text(radio.closest('label') || (radio.id && document.querySelector(`label[for="${radio.id}"]`)))
+            }));
+
+        if (options.length === 0) {
+            return null;
+        }
+
+        // Fall back to the nearest heading or legend above the answers
+        const question = text(document.querySelector(questionSelector))
+            || text(document.querySelector('legend, h1, h2, h3, .xQuestion'));
+
+        return { question, options };
+    }, selectors.triviaQuestion);
+}
+
+/**
+ * Remember a question that isn't in the bank. Returns whether it's the
+ * first time we've seen it, so it's only notified once.
+ * @param {string} site - Sweepstakes ID
+ * @param {Object} trivia - { question, options }
+ * @returns {boolean}
+ */
+function recordUnseenQuestion(site, { question, options }) {
+    const path = config.paths.triviaUnseen;
+    const unseen = readJson(path, {});
+
+    if (unseen[question]) {
+        return false;
+    }
+
+    unseen[question] = { site, options: options.map(o => o.label || o.value), firstSeen: new Date().toISOString() };
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileAtomic(path, JSON.stringify(unseen, null, 2) + '\n');
+    return true;
+}
+
+/**
+ * Answer the trivia question on the current screen from the answer bank.
+ * Unknown questions are logged, saved to the unseen-questions file and
+ * notified, and the run goes on without an answer.
+ * @param {Frame} frame - Wayin form frame
+ * @param {Object} definition - Sweepstakes definition
+ * @returns {Promise<Object|null>} - { question, options, answer, status } for the run record,
+ *   or null if there was no trivia question
+ */
+export async function answerTrivia(frame, definition) {
+    const { id, name, selectors } = definition;
+    const trivia = await readTriviaQuestion(frame, selectors);
+
+    if (!trivia) {
+        return null;
+    }
+
+    const { question, options } = trivia;
+    const { status, answer, option } = findAnswer(loadAnswerBank(), question, options);
+    const optionList = options.map(o => o.label || o.value).join(' | ');
+    const result = { question, options, answer, status };
+
+    logger.info(`Trivia question: "${question}"`);
+
+    if (status === TRIVIA_STATUS.ANSWERED) {
+        const selected = await frame.evaluate((value) => {
+            const radio = Array.from(document.querySelectorAll('input[type="radio"]')).find(r => r.value === value);
+            if (radio) {
+                radio.click();
+            }
+            return Boolean(radio && radio.checked);
+        }, option.value);
+
+        if (selected) {
+            logger.success(`Answered trivia: "${option.label || option.value}"`);
+            return result;
+        }
+
+        logger.warn(`Could not select trivia answer "${answer}"`);
+        return { ...result, status: TRIVIA_STATUS.FAILED };
+    }
+
+    if (status === TRIVIA_STATUS.NO_MATCH) {
+        logger.warn(`Trivia answer bank says "${answer}", but the options are: ${optionList}`);
+    } else {
+        logger.warn(`Unknown trivia question - add it to ${config.paths.triviaAnswers}. Options: ${optionList}`);
+    }
+
+    let firstTime = true;
+    try {
+        firstTime = status === TRIVIA_STATUS.NO_MATCH || recordUnseenQuestion(id, trivia);
+    } catch (error) {
+        logger.warn(`Could not save unseen trivia question: ${error.message}`);
+    }
+
+    if (firstTime) {
+        await notify(NOTIFY_EVENT.TRIVIA, {
+            site: id,
+            title: `❓ ${name}: ${status === TRIVIA_STATUS.NO_MATCH ? 'trivia answer not among the options' : 'new trivia question'}`,
+            message: `Question: ${question}\nOptions: ${optionList}\n`
+                + (answer ? `Answer bank says: ${answer}\n` : '')
+                + `\nAdd the answer to ${config.paths.triviaAnswers}.`,
+            details: result
+        });
+    }
+
+    return result;
+}
@@ -1,19 +1,29 @@
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { existsSync } from 'fs';
 import { config } from './config.js';
 import { logger } from './logger.js';
+import { OUTCOME, isEnteredRecord } from './outcome.js';
+import { readSubmissions, appendSubmission } from './history-store.js';
+import { notify, NOTIFY_EVENT } from './notifier.js';
+import { FIELD_STATUS, compareFieldValue } from './field-report.js';
 
 /**
  * Wait for iframe to load on the page
  * @param {Page} page - Puppeteer page object
  * @param {number} timeout - Maximum wait time in milliseconds
+ * @param {Object} options - Which iframe to wait for
+ * @param {string} options.selector - CSS selector for the iframe element
+ * @param {string} options.urlPattern - Substring the loaded frame URL must contain
  * @returns {Promise<Frame>} - The iframe element frame
  */
-export async function waitForIframe(page, timeout = 30000) {
+export async function waitForIframe(page, timeout = 30000, {
+    selector = 'iframe[id^="ngxFrame"]',
+    urlPattern = 'wayin.com'
+} = {}) {
     logger.info('Waiting for Wayin iframe to load...');
 
     try {
         // Wait for the iframe element to exist
-        await page.waitForSelector('iframe[id^="ngxFrame"]', { timeout: 10000 });
+        await page.waitForSelector(selector, { timeout: 10000 });
         logger.info('Found ngxFrame iframe element');
 
         // Wait for the iframe to load actual content (not about:blank)
@@ -23,10 +33,7 @@ export async function waitForIframe(page, timeout = 30000) {
         let iframe = null;
         while (Date.now() - startTime < timeout) {
             const frames = page.frames();
-            iframe = frames.find(frame =>
-                frame.url().includes('xd.wayin.com') ||
-                frame.url().includes('wayin.com')
-            );
+            iframe = frames.find(frame => frame.url().includes(urlPattern));
 
             if (iframe) {
                 logger.info(`Iframe loaded with URL: ${iframe.url()}`);
@@ -56,69 +63,135 @@ export async function waitForIframe(page, timeout = 30000) {
 }
 
 /**
- * Fill a form field and validate
+ * Fill a form field and read it back to check the form kept the value
  * @param {Frame} frame - Puppeteer frame object
  * @param {string} selector - CSS selector or element ID
  * @param {string} value - Value to fill
  * @param {boolean} isSelect - Whether the field is a select dropdown
+ * @returns {Promise<Object>} - { status, message } (see FIELD_STATUS in field-report.js)
  */
 export async function fillFormField(frame, selector, value, isSelect = false) {
-    try {
-        // Add # if selector looks like an ID
-        const finalSelector = selector.startsWith('#') ? selector : `#${selector}`;
+    // Add # if selector looks like an ID
+    const finalSelector = selector.startsWith('#') ? selector : `#${selector}`;
 
+    try {
         await frame.waitForSelector(finalSelector, { timeout: 5000 });
+    } catch (error) {
+        logger.warn(`Could not find ${selector}: ${error.message}`);
+        return { status: FIELD_STATUS.MISSING, message: `${finalSelector} not found` };
+    }
 
+    try {
         if (isSelect) {
-            await frame.select(finalSelector, value);
+            const selected = await frame.select(finalSelector, value);
+
+            if (!selected.includes(value)) {
+                logger.warn(`No option "${value}" in ${selector}`);
+                return { status: FIELD_STATUS.REJECTED, message: `No option "${value}"` };
+            }
+
             logger.info(`Selected "${value}" in ${selector}`);
         } else {
+            // Replace anything the form pre-filled rather than appending to it
+            await frame.$eval(finalSelector, el => { el.value = ''; });
             await frame.type(finalSelector, value, { delay: 50 });
             logger.info(`Filled ${selector} with value`);
         }
 
         // Small delay for validation
         await new Promise(resolve => setTimeout(resolve, 300));
+
+        const result = compareFieldValue(value, await frame.$eval(finalSelector, el => el.value));
+        if (result.status !== FIELD_STATUS.VERIFIED) {
+            logger.warn(`${selector}: ${result.message}`);
+        }
+
+        return result;
     } catch (error) {
         logger.warn(`Could not fill ${selector}: ${error.message}`);
+        return { status: FIELD_STATUS.REJECTED, message: error.message };
     }
 }
 
+const captchaSelector = '.g-recaptcha, iframe[src*="recaptcha"]';
+
+/**
+ * Check whether the CAPTCHA in the frame has been solved: the reCAPTCHA
+ * token field is filled in, or the challenge is gone from the form
+ * @param {Frame} frame - Puppeteer frame object
+ * @returns {Promise<boolean>}
+ */
+export async function isCaptchaSolved(frame) {
+    return frame.evaluate((selector) => {
+        const token = document.querySelector('textarea[name="g-recaptcha-response"], #g-recaptcha-response');
+        if (token && token.value.trim()) {
+            return true;
+        }
+
+        const challenge = document.querySelector(selector);
+        return !challenge || (challenge.offsetParent === null && challenge.getClientRects().length === 0);
+    }, captchaSelector);
+}
+
 /**
- * Handle CAPTCHA - pause for manual solving or use API
+ * Handle CAPTCHA - wait for it to be solved by hand or use API
  * @param {Page} page - Puppeteer page object
  * @param {Frame} frame - Puppeteer frame object
- * @returns {Promise<boolean>} - Whether CAPTCHA was solved
+ * @param {Object} definition - Sweepstakes definition (for notifications)
+ * @param {Object} artifacts - Run bundle to save the screenshot in (see run-artifacts.js)
+ * @returns {Promise<Object>} - { solved, status }: status is null when there
+ *   was no CAPTCHA or it was solved, otherwise the outcome to record
+ *   (captcha-timeout if nobody solved it in time)
  */
-export async function handleCaptcha(page, frame) {
+export async function handleCaptcha(page, frame, definition = null, artifacts = null) {
     logger.info('Checking for CAPTCHA...');
 
     try {
         // Check if reCAPTCHA is present
-        const captchaExists = await frame.$('.g-recaptcha, iframe[src*="recaptcha"]');
+        const captchaExists = await frame.$(captchaSelector);
 
-        if (!captchaExists) {
+        if (!captchaExists || await isCaptchaSolved(frame)) {
             logger.info('No CAPTCHA detected');
-            return true;
+            return { solved: true, status: null };
         }
 
         if (config.captcha.solverApiKey) {
             logger.info('CAPTCHA detected - using solver API (not implemented yet)');
             // TODO: Integrate with 2captcha or similar service
-            return false;
-        } else {
-            logger.warn('⚠️  CAPTCHA detected - Please solve manually');
-            logger.warn('⚠️  Waiting 60 seconds for manual CAPTCHA solving...');
+            return { solved: false, status: OUTCOME.CAPTCHA_BLOCKED };
+        }
+
+        const { timeoutSeconds, pollInterval } = config.captcha;
+        logger.warn('⚠️  CAPTCHA detected - Please solve manually');
+        logger.warn(`⚠️  Waiting up to ${timeoutSeconds} seconds for manual CAPTCHA solving...`);
+
+        const name = definition ? definition.name : 'Sweepstakes';
+        await notify(NOTIFY_EVENT.CAPTCHA, {
+            site: definition ? definition.id : null,
+            title: `🧩 ${name} entry needs a human: CAPTCHA`,
+            message: `A CAPTCHA appeared on the ${name} entry form. Solve it in the browser window within ${timeoutSeconds} seconds.`,
+            screenshot: artifacts
+                ? await artifacts.screenshot(page, '06-captcha')
+                : await takeScreenshot(page, `${definition ? definition.screenshotPrefix : 'entry'}-captcha`)
+        });
 
-            // Wait for user to solve CAPTCHA
-            await new Promise(resolve => setTimeout(resolve, 60000));
+        // Poll until the challenge is solved or time runs out
+        const deadline = Date.now() + timeoutSeconds * 1000;
 
-            logger.info('Continuing after CAPTCHA wait period');
-            return true;
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, pollInterval));
+
+            if (await isCaptchaSolved(frame)) {
+                logger.success('CAPTCHA solved, continuing');
+                return { solved: true, status: null };
+            }
         }
+
+        logger.failure(`CAPTCHA was not solved within ${timeoutSeconds} seconds`);
+        return { solved: false, status: OUTCOME.CAPTCHA_TIMEOUT };
     } catch (error) {
         logger.error(`CAPTCHA handling error: ${error.message}`);
-        return false;
+        return { solved: false, status: OUTCOME.CAPTCHA_BLOCKED };
     }
 }
 
@@ -126,100 +199,79 @@ export async function handleCaptcha(page, frame) {
  * Take a screenshot for debugging
  * @param {Page} page - Puppeteer page object
  * @param {string} name - Screenshot name
+ * @param {string} dir - Directory to save it in as <name>.png (default:
+ *   screenshots/, with a timestamp added to the name)
+ * @returns {Promise<string|null>} - Path of the screenshot, or null if it failed
  */
-export async function takeScreenshot(page, name) {
+export async function takeScreenshot(page, name, dir = null) {
     try {
-        if (!existsSync(config.paths.screenshots)) {
+        const target = dir || config.paths.screenshots;
+        if (!existsSync(target)) {
             const { mkdirSync } = await import('fs');
-            mkdirSync(config.paths.screenshots, { recursive: true });
+            mkdirSync(target, { recursive: true });
         }
 
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `${config.paths.screenshots}/${name}_${timestamp}.png`;
+        const filename = dir
+            ? `${dir}/${name}.png`
+            : `${config.paths.screenshots}/${name}_${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
 
         await page.screenshot({ path: filename, fullPage: true });
         logger.info(`Screenshot saved: ${filename}`);
+        return filename;
     } catch (error) {
         logger.warn(`Failed to take screenshot: ${error.message}`);
+        return null;
     }
 }
 
 /**
- * Check if we can submit based on rate limiting
- * @param {string} site - Site name (hgtv or foodnetwork)
- * @returns {Promise<boolean>} - Whether submission is allowed
+ * Number of failed attempts for a site since its last entry
+ * @param {string} site - Site name
+ * @returns {Promise<number>}
  */
-export async function checkRateLimit(site) {
-    try {
-        if (!existsSync(config.paths.submissions)) {
-            return true; // No submissions yet
-        }
-
-        const data = readFileSync(config.paths.submissions, 'utf8');
-        const submissions = JSON.parse(data);
-
-        // Find last submission for this site
-        const lastSubmission = submissions
-            .filter(s => s.site === site && s.success)
-            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
-
-        if (!lastSubmission) {
-            return true; // No previous submissions
-        }
+export async function countConsecutiveFailures(site) {
+    const submissions = (await readSubmissions()).filter(s => s.site === site);
+    let count = 0;
 
-        // Get dates in ET timezone to match official contest day rules
-        const getETDate = (date) => {
-            return new Date(date).toLocaleString('en-US', {
-                timeZone: 'America/New_York',
-                year: 'numeric',
-                month: 'numeric',
-                day: 'numeric'
-            });
-        };
-
-        const lastDate = getETDate(lastSubmission.timestamp);
-        const todayDate = getETDate(new Date());
-
-        if (lastDate === todayDate) {
-            logger.warn(`Rate limit: Already entered ${site} today (${todayDate} ET)`);
-            return false;
-        }
-
-        return true;
-    } catch (error) {
-        logger.error(`Error checking rate limit: ${error.message}`);
-        return true; // Allow on error
+    for (let i = submissions.length - 1; i >= 0 && !isEnteredRecord(submissions[i]); i--) {
+        count++;
     }
+
+    return count;
 }
 
 /**
  * Save submission record
  * @param {string} site - Site name
- * @param {boolean} success - Whether submission was successful
+ * @param {boolean} success - Whether the entrant is entered for the day
  * @param {string} error - Error message if failed
+ * @param {Object} details - Classified outcome { status, evidence } (see outcome.js),
+ *   the captured Wayin responses { network }, the last screenshot { screenshot },
+ *   the field report { fields }, form drift { formChanges }, the
+ *   checkboxes on the form { consent }, the trivia question { trivia }, who
+ *   the entry counts against for rate limiting { entrant, limitKey } and the
+ *   run's artifact bundle { runId }
  */
-export async function saveSubmissionRecord(site, success, error = null) {
+export async function saveSubmissionRecord(site, success, error = null, details = {}) {
     try {
-        let submissions = [];
-
-        if (existsSync(config.paths.submissions)) {
-            const data = readFileSync(config.paths.submissions, 'utf8');
-            submissions = JSON.parse(data);
-        }
-
-        submissions.push({
+        await appendSubmission({
             site,
             success,
+            status: details.status || null,
+            evidence: details.evidence || null,
+            network: details.network || [],
+            screenshot: details.screenshot || null,
+            fields: details.fields || null,
+            formChanges: details.formChanges || [],
+            consent: details.consent || [],
+            trivia: details.trivia || null,
+            entrant: details.entrant || null,
+            limitKey: details.limitKey || null,
+            runId: details.runId || null,
             error,
             timestamp: new Date().toISOString()
         });
 
-        // Keep only last 100 submissions
-        if (submissions.length > 100) {
-            submissions = submissions.slice(-100);
-        }
-
-        writeFileSync(config.paths.submissions, JSON.stringify(submissions, null, 2));
         logger.info(`Submission record saved for ${site}`);
     } catch (error) {
         logger.error(`Failed to save submission record: ${error.message}`);
@@ -0,0 +1,610 @@
+import { config } from './config.js';
+import { logger, withLogContext, setLogContext } from './logger.js';
+import {
+    waitForIframe,
+    fillFormField,
+    handleCaptcha,
+    isCaptchaSolved,
+    saveSubmissionRecord,
+    clickButton
+} from './utils.js';
+import { OUTCOME, classifySubmissionOutcome, isEnteredOutcome } from './outcome.js';
+import { watchWayinResponses, outcomeFromResponse } from './wayin-network.js';
+import { notify, NOTIFY_EVENT } from './notifier.js';
+import { createFieldReport, collectValidationMessages, FIELD_STATUS } from './field-report.js';
+import { snapshotFormSchema, checkFormSchema } from './form-schema.js';
+import { handleCheckboxes } from './consent.js';
+import { answerTrivia } from './trivia.js';
+import { checkRateLimit, entrantKey, rateLimitKey } from './rate-limit.js';
+import { acquireBrowser, releaseBrowser } from './browser.js';
+import { createRunArtifacts } from './run-artifacts.js';
+
+/**
+ * Click any "Enter"/"Agree" style button on the landing page. This often
+ * triggers the iframe loading or clears overlays.
+ * @param {Page} page - Puppeteer page object
+ */
+async function clickLandingButton(page) {
+    try {
+        const buttonClicked = await page.evaluate(() => {
+            const buttons = Array.from(document.querySelectorAll('button, a, div[role="button"]'));
+            // Prioritize "Enter" or "Agree" buttons
+            const targetButton = buttons.find(btn => {
+                const text = (btn.textContent || btn.innerText || '').toLowerCase().trim();
+                return text === 'enter' ||
+                    text === 'enter now' ||
+                    text.includes('start entry') ||
+                    text === 'i agree' ||
+                    text.includes('complete my entry');
+            });
+
+            if (targetButton && targetButton.offsetParent !== null) { // Check visibility
+                targetButton.click();
+                return true;
+            }
+            return false;
+        });
+
+        if (buttonClicked) {
+            logger.info('Clicked entry/agree button');
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+    } catch (e) {
+        logger.info('No initial interaction button found or needed');
+    }
+}
+
+/**
+ * Get the Wayin form frame, falling back to navigating straight to the
+ * iframe's data-src when the embedded frame never loads
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} definition - Sweepstakes definition
+ * @returns {Promise<Frame>} - Frame containing the Wayin form
+ */
+async function openWayinFrame(page, definition) {
+    try {
+        return await waitForIframe(page, definition.iframeTimeout, {
+            selector: definition.selectors.iframe,
+            urlPattern: definition.frameUrlPattern
+        });
+    } catch (error) {
+        logger.warn('Standard iframe loading failed, attempting direct navigation fallback...');
+
+        // Try to get data-src from the iframe element first
+        let wayinUrl = await page.evaluate((selector) => {
+            const iframe = document.querySelector(selector);
+            return iframe ? iframe.getAttribute('data-src') : null;
+        }, definition.selectors.iframe);
+
+        // If not found via element, check HTML regex
+        if (!wayinUrl) {
+            const html = await page.content();
+            const match = html.match(/data-src="(\/\/xd\.wayin\.com\/[^"]+)"/);
+            if (match) wayinUrl = match[1];
+        }
+
+        if (!wayinUrl) {
+            throw Object.assign(
+                new Error('Could not find Wayin URL (data-src) for direct navigation'),
+                { status: OUTCOME.IFRAME_MISSING }
+            );
+        }
+
+        // Add protocol if missing
+        if (wayinUrl.startsWith('//')) {
+            wayinUrl = 'https:' + wayinUrl;
+        }
+
+        logger.info(`Found direct Wayin URL: ${wayinUrl}`);
+        logger.info('Navigating directly to sweepstakes form...');
+        await page.goto(wayinUrl, { waitUntil: 'networkidle2', timeout: definition.gotoTimeout });
+
+        return page.mainFrame(); // The whole page is now the form
+    }
+}
+
+/**
+ * Click the Next button if it is present and visible
+ * @param {Frame} iframe - Wayin form frame
+ * @param {Object} definition - Sweepstakes definition
+ * @returns {Promise<boolean>} - Whether the button was clicked
+ */
+async function clickNextIfVisible(iframe, definition) {
+    const nextButton = await iframe.$(definition.selectors.next);
+
+    if (nextButton && await nextButton.boundingBox()) {
+        await clickButton(iframe, definition.selectors.next, 2000);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Fill a field from the definition's selectors and record it in the run's field report
+ * @param {Object} run - Run context
+ * @param {string} step - Entry step the field belongs to
+ * @param {string} field - Selector name (see wayinSelectors in sweepstakes.js)
+ * @param {string} value - Value to fill
+ * @param {boolean} isSelect - Whether the field is a select dropdown
+ */
+async function fillField({ iframe, definition, fields }, step, field, value, isSelect = false) {
+    const selector = definition.selectors[field];
+    fields.add(step, field, selector, await fillFormField(iframe, selector, value, isSelect));
+}
+
+/**
+ * Snapshot the fields on the current screen for form drift detection
+ * @param {Object} run - Run context
+ * @param {string} step - Entry step the screen belongs to
+ */
+async function recordSchema({ iframe, schema }, step) {
+    try {
+        schema[step] = await snapshotFormSchema(iframe);
+    } catch (error) {
+        logger.warn(`Could not snapshot the ${step} form: ${error.message}`);
+    }
+}
+
+/**
+ * Step: enter email and check for a returning user
+ * @param {Object} run - Run context { page, iframe, definition, network, fields, schema, consent, trivia, newUser, artifacts }
+ */
+async function enterEmail(run) {
+    const { page, iframe, definition, network, fields, artifacts } = run;
+    const { id, selectors } = definition;
+
+    logger.sweepstakes(id, 'Entering email address...');
+    await recordSchema(run, 'email');
+    await fillField(run, 'email', 'email', config.personalInfo.email);
+
+    run.consent.push(...await handleCheckboxes(iframe, 'email'));
+
+    network.setPhase('check-user');
+    await clickButton(iframe, selectors.checkUser, 3000);
+    await network.settle();
+    network.setPhase(null);
+
+    fields.addValidation('email', await collectValidationMessages(iframe));
+
+    await artifacts.screenshot(page, '02-after-email');
+}
+
+/**
+ * Step: fill the new-user registration form, if shown
+ * @param {Object} run - Run context
+ */
+async function fillRegistration(run) {
+    const { page, iframe, definition, network, fields, artifacts } = run;
+    const { id, selectors } = definition;
+
+    logger.sweepstakes(id, 'Filling registration form...');
+
+    // Wayin's user lookup tells us directly when it already knows the email
+    if (network.last('check-user')?.fields.returningUser === true) {
+        logger.info('Returning user reported by Wayin, skipping name entry');
+        return;
+    }
+
+    // Check if we need to fill name (new user) or if we're returning
+    try {
+        await iframe.waitForSelector(`#${selectors.firstName}`, { timeout: 3000 });
+    } catch (error) {
+        // Leave whatever screen comes next (e.g. trivia) to its own step
+        logger.info('Returning user detected, skipping name entry');
+        return;
+    }
+
+    await recordSchema(run, 'registration');
+
+    await fillField(run, 'registration', 'firstName', config.personalInfo.firstName);
+    await fillField(run, 'registration', 'lastName', config.personalInfo.lastName);
+
+    logger.info('New user registration detected');
+    run.newUser = true;
+
+    run.consent.push(...await handleCheckboxes(iframe, 'registration'));
+
+    // Click Next to proceed if it exists
+    try {
+        if (await clickNextIfVisible(iframe, definition)) {
+            await artifacts.screenshot(page, '03-after-registration');
+        } else {
+            logger.info('No Next button found, checking for Submit button directly');
+        }
+    } catch (error) {
+        logger.info('Skipping Next button step');
+    }
+
+    fields.addValidation('registration', await collectValidationMessages(iframe));
+}
+
+/**
+ * Step: answer the trivia question from the answer bank and move on
+ * @param {Object} run - Run context
+ */
+async function handleTrivia(run) {
+    const { page, iframe, definition, artifacts } = run;
+    const { id, selectors } = definition;
+
+    logger.sweepstakes(id, 'Handling trivia question...');
+    try {
+        await iframe.waitForSelector(selectors.next, { timeout: 3000 });
+        await recordSchema(run, 'trivia');
+
+        run.trivia = await answerTrivia(iframe, definition);
+
+        if (await clickNextIfVisible(iframe, definition)) {
+            logger.info(run.trivia ? 'Moved past trivia question' : 'Skipped trivia question');
+        }
+    } catch (error) {
+        logger.info('No trivia question found');
+    }
+
+    await artifacts.screenshot(page, '04-after-trivia');
+}
+
+// Fields of the address screen, in the order they are filled
+const addressFields = ['addressLine1', 'addressLine2', 'city', 'state', 'zipCode', 'phone', 'dobMonth', 'dobDay', 'dobYear', 'gender'];
+
+/**
+ * Step: fill address, phone and date of birth
+ * @param {Object} run - Run context
+ */
+async function fillAddress(run) {
+    const { iframe, definition, fields } = run;
+    const { id, selectors } = definition;
+    const info = config.personalInfo;
+
+    logger.sweepstakes(id, 'Filling address and contact information...');
+
+    try {
+        // Wait for address fields
+        await iframe.waitForSelector(`#${selectors.addressLine1}`, { timeout: 5000 });
+    } catch (error) {
+        // Returning users skip the address; a new user who doesn't get it
+        // is looking at a form that changed, which must not be submitted
+        if (!run.newUser) {
+            logger.info('No address fields for a returning user');
+            return;
+        }
+
+        logger.warn('Address fields not found after registration');
+        for (const field of addressFields.filter(name => definition.requiredFields.includes(name))) {
+            fields.add('address', field, selectors[field], { status: FIELD_STATUS.MISSING, message: 'Address fields not found' });
+        }
+        return;
+    }
+
+    await recordSchema(run, 'address');
+
+    await fillField(run, 'address', 'addressLine1', info.addressLine1);
+
+    if (info.addressLine2) {
+        await fillField(run, 'address', 'addressLine2', info.addressLine2);
+    }
+
+    await fillField(run, 'address', 'city', info.city);
+    await fillField(run, 'address', 'state', info.state, true);
+    await fillField(run, 'address', 'zipCode', info.zipCode);
+    await fillField(run, 'address', 'phone', info.phone);
+
+    // Date of birth
+    await fillField(run, 'address', 'dobMonth', info.dobMonth, true);
+    await fillField(run, 'address', 'dobDay', info.dobDay, true);
+    await fillField(run, 'address', 'dobYear', info.dobYear, true);
+
+    // Gender (optional)
+    if (info.gender) {
+        await fillField(run, 'address', 'gender', info.gender, true);
+    }
+
+    fields.addValidation('address', await collectValidationMessages(iframe));
+    logger.success('Address and contact information filled');
+}
+
+/**
+ * Step: click submit and classify the result. Wayin's submit response is
+ * the primary signal; the screen it shows afterwards is the fallback.
+ * @param {Object} run - Run context
+ * @returns {Promise<Object>} - Outcome { status, evidence }
+ */
+async function submitForm({ page, iframe, definition, network, artifacts }) {
+    const { id, selectors } = definition;
+
+    logger.sweepstakes(id, 'Submitting entry...');
+
+    let screenshot;
+
+    try {
+        network.setPhase('submit');
+        await clickButton(iframe, selectors.submit, 5000);
+
+        // Wait for confirmation
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        screenshot = await artifacts.screenshot(page, '07-submitted');
+    } catch (error) {
+        logger.failure(`Submission failed: ${error.message}`);
+        return {
+            status: OUTCOME.ERROR,
+            evidence: { source: 'error', match: error.message },
+            screenshot: await artifacts.screenshot(page, '07-submit-error')
+        };
+    } finally {
+        await network.settle();
+        network.setPhase(null);
+    }
+
+    const networkOutcome = outcomeFromResponse(network.last('submit'));
+    const pageOutcome = await classifySubmissionOutcome(page, iframe);
+
+    if (!network.last('submit')) {
+        logger.warn('No Wayin submit response captured, classifying from the page');
+    } else if (networkOutcome && pageOutcome.status !== OUTCOME.UNKNOWN &&
+        networkOutcome.status !== pageOutcome.status) {
+        logger.warn(`Wayin response says ${networkOutcome.status} but the page says ${pageOutcome.status}; trusting the response`);
+    }
+
+    const outcome = networkOutcome || pageOutcome;
+    const evidence = outcome.evidence ? ` ("${outcome.evidence.match}")` : '';
+
+    switch (outcome.status) {
+        case OUTCOME.CONFIRMED:
+            logger.success(`Entry submitted successfully!${evidence}`);
+            break;
+        case OUTCOME.ALREADY_ENTERED:
+            logger.warn(`Already entered today${evidence}`);
+            break;
+        case OUTCOME.UNKNOWN:
+            logger.warn('Submission status unclear, check screenshot - not counting as an entry');
+            break;
+        default:
+            logger.failure(`Entry not accepted: ${outcome.status}${evidence}`);
+    }
+
+    return { ...outcome, screenshot };
+}
+
+/**
+ * Send the success/failure notification for a finished run
+ * @param {Object} definition - Sweepstakes definition
+ * @param {boolean} success - Whether the entrant is entered for the day
+ * @param {Object} outcome - { status, evidence, screenshot }
+ */
+async function notifyResult(definition, success, outcome) {
+    const { id, name } = definition;
+    const evidence = outcome.evidence?.match ? ` (${outcome.evidence.match})` : '';
+
+    await notify(success ? NOTIFY_EVENT.SUCCESS : NOTIFY_EVENT.FAILURE, {
+        site: id,
+        title: success ? `✅ ${name} entry ${outcome.status}` : `❌ ${name} entry failed: ${outcome.status}`,
+        message: success
+            ? `${name} entry for today: ${outcome.status}${evidence}.`
+            : `${name} entry failed with status "${outcome.status}"${evidence}.`,
+        screenshot: success ? null : outcome.screenshot || null,
+        details: { status: outcome.status, evidence: outcome.evidence }
+    });
+}
+
+/**
+ * Classify a run that ended in an exception
+ * @param {Error} error - The error that stopped the run
+ * @returns {string} - Outcome status
+ */
+function statusForError(error) {
+    if (error.status) {
+        return error.status;
+    }
+    return error.name === 'TimeoutError' ? OUTCOME.TIMEOUT : OUTCOME.ERROR;
+}
+
+/**
+ * Run an entry to a Wayin-hosted sweepstakes. Screenshots, timings and
+ * (on failure) HTML dumps go to the run's bundle in runs/<run ID>/, and
+ * every line logged during the run carries the sweepstakes and run ID.
+ * @param {Object} definition - Sweepstakes definition (see sweepstakes.js)
+ * @param {boolean} dryRun - If true, don't actually submit
+ * @returns {Promise<Object>} - { success, status, evidence, runId } (status is an OUTCOME)
+ */
+export function runWayinEntry(definition, dryRun = false) {
+    return withLogContext({ sweepstakes: definition.id }, () => enterWayinSweepstakes(definition, dryRun));
+}
+
+/**
+ * The entry run itself (see runWayinEntry)
+ * @param {Object} definition - Sweepstakes definition
+ * @param {boolean} dryRun - If true, don't actually submit
+ * @returns {Promise<Object>}
+ */
+async function enterWayinSweepstakes(definition, dryRun) {
+    const { id, name, url, steps } = definition;
+    logger.sweepstakes(id, 'Starting entry process...');
+
+    // Check rate limit
+    if (!dryRun && !(await checkRateLimit(definition))) {
+        return { success: false, status: OUTCOME.RATE_LIMITED, evidence: null };
+    }
+
+    const artifacts = createRunArtifacts(definition, { dryRun });
+    setLogContext({ runId: artifacts.id });
+    logger.info(`Run ID: ${artifacts.id}`);
+
+    let browser;
+    let page;
+    let iframe;
+    let network;
+    const fields = createFieldReport();
+    const schema = {};
+    const consent = [];
+    let run;
+    let success = false;
+    let outcome = { status: OUTCOME.ERROR, evidence: null };
+
+    try {
+        browser = await artifacts.step('browser', () => acquireBrowser(definition));
+
+        page = await browser.newPage();
+        logger.info('New page created');
+        artifacts.watch(page);
+        network = watchWayinResponses(page, definition);
+
+        if (definition.viewport) {
+            await page.setViewport(definition.viewport);
+        }
+
+        await artifacts.step('landing', async () => {
+            // Navigate to the sweepstakes page
+            logger.sweepstakes(id, `Navigating to ${url}`);
+            await page.goto(url, {
+                waitUntil: 'networkidle2',
+                timeout: definition.gotoTimeout
+            });
+
+            logger.info('Page loaded successfully');
+            await artifacts.screenshot(page, '01-landing');
+
+            await clickLandingButton(page);
+        });
+
+        iframe = await artifacts.step('frame', () => openWayinFrame(page, definition));
+        run = { page, iframe, definition, network, fields, schema, consent, trivia: null, newUser: false, artifacts };
+
+        if (steps.email) {
+            await artifacts.step('email', () => enterEmail(run));
+        }
+
+        if (steps.registration) {
+            await artifacts.step('registration', () => fillRegistration(run));
+        }
+
+        if (steps.trivia) {
+            await artifacts.step('trivia', () => handleTrivia(run));
+        }
+
+        if (steps.address) {
+            await artifacts.step('address', () => fillAddress(run));
+        }
+
+        consent.push(...await artifacts.step('consent', () => handleCheckboxes(iframe, 'submit')));
+
+        await artifacts.screenshot(page, '05-before-submit');
+        logger.info(`Field report: ${fields.summary()}`);
+
+        // Don't submit without the fields the definition says we must have
+        const failedFields = fields.failedRequired(definition.requiredFields);
+
+        // Handle CAPTCHA (no point asking anyone to solve it if we won't submit)
+        const captcha = failedFields.length === 0 && !dryRun
+            ? await artifacts.step('captcha', () => handleCaptcha(page, iframe, definition, artifacts))
+            : null;
+
+        if (dryRun && !(await isCaptchaSolved(iframe))) {
+            logger.warn('🧩 CAPTCHA on the form - a real run would wait for it to be solved');
+        }
+
+        if (failedFields.length > 0) {
+            const problems = failedFields.map(f => `${f.field} ${f.status}${f.message ? ` (${f.message})` : ''}`);
+            logger.failure(`Required fields failed, not submitting: ${problems.join('; ')}`);
+            outcome = {
+                status: OUTCOME.VALIDATION_ERROR,
+                evidence: { source: 'field-report', match: problems.join('; ') },
+                screenshot: await artifacts.screenshot(page, '06-required-fields')
+            };
+        } else if (!dryRun && !captcha.solved) {
+            logger.failure('CAPTCHA not solved, cannot submit');
+            outcome = {
+                status: captcha.status,
+                evidence: {
+                    source: 'captcha',
+                    match: captcha.status === OUTCOME.CAPTCHA_TIMEOUT
+                        ? `CAPTCHA not solved within ${config.captcha.timeoutSeconds} seconds`
+                        : 'CAPTCHA not solved before submit'
+                },
+                screenshot: await artifacts.screenshot(page, '06-captcha-failed')
+            };
+        } else if (dryRun) {
+            logger.warn('🧪 DRY RUN MODE - Not submitting entry');
+            await artifacts.screenshot(page, '06-dry-run-complete');
+            outcome = { status: OUTCOME.DRY_RUN, evidence: null };
+            success = true;
+        } else {
+            outcome = await artifacts.step('submit', () => submitForm(run));
+            success = isEnteredOutcome(outcome.status);
+        }
+
+    } catch (error) {
+        logger.failure(`${name} entry failed: ${error.message}`);
+        logger.error(error.stack);
+
+        outcome = {
+            status: statusForError(error),
+            evidence: { source: 'error', match: error.message }
+        };
+
+        // The form may be telling us why it stopped (e.g. entry period over)
+        if (iframe) {
+            const classified = await classifySubmissionOutcome(page, iframe);
+            if (classified.status !== OUTCOME.UNKNOWN) {
+                outcome = classified;
+            }
+        }
+
+        if (page) {
+            outcome.screenshot = await artifacts.screenshot(page, 'error');
+        }
+    } finally {
+        if (network) {
+            network.stop();
+        }
+
+        if (page && !success) {
+            await artifacts.dumpHtml(page, iframe);
+        }
+
+        // Other runs in the batch may still be using the browser
+        if (page) {
+            await page.close().catch(() => {});
+        }
+        if (browser) {
+            await releaseBrowser();
+        }
+
+        const formChanges = Object.keys(schema).length > 0
+            ? await checkFormSchema(definition, schema)
+            : [];
+
+        artifacts.finish({ success, ...outcome, fields: fields.toJSON() });
+
+        // Save submission record
+        if (!dryRun) {
+            await saveSubmissionRecord(id, success, success ? null : 'See logs for details', {
+                ...outcome,
+                network: network ? network.responses : [],
+                fields: fields.toJSON(),
+                formChanges,
+                consent,
+                trivia: run ? run.trivia : null,
+                entrant: entrantKey(),
+                limitKey: rateLimitKey(definition),
+                runId: artifacts.id
+            });
+            await notifyResult(definition, success, outcome);
+        }
+
+        // Only once the entry is recorded
+        artifacts.prune();
+    }
+
+    return { success, ...outcome, fields: fields.toJSON(), consent, runId: artifacts.id };
+}
+
+/**
+ * Submit an entry to a Wayin-hosted sweepstakes
+ * @param {Object} definition - Sweepstakes definition (see sweepstakes.js)
+ * @param {boolean} dryRun - If true, don't actually submit
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function submitWayinEntry(definition, dryRun = false) {
+    const { success } = await runWayinEntry(definition, dryRun);
+    return success;
+}
@@ -0,0 +1,178 @@
+import { logger } from './logger.js';
+import { OUTCOME } from './outcome.js';
+
+/**
+ * Response fields we care about, by the names Wayin (and our fixtures) use
+ */
+const fieldAliases = {
+    returningUser: ['returningUser', 'isReturningUser', 'returning', 'existingUser', 'userExists'],
+    accepted: ['success', 'accepted', 'entered', 'entryAccepted'],
+    errorCode: ['errorCode', 'code', 'error_code', 'reason'],
+    errorMessage: ['errorMessage', 'message', 'error']
+};
+
+/**
+ * Error codes/messages mapped to outcomes, checked in order
+ */
+const errorPatterns = [
+    [OUTCOME.CAPTCHA_BLOCKED, /captcha|\bbot\b|human/i],
+    [OUTCOME.ENTRY_CLOSED, /closed|ended|expired|not[_ ]?active|inactive/i],
+    [OUTCOME.ALREADY_ENTERED, /already|duplicate|limit/i],
+    [OUTCOME.VALIDATION_ERROR, /invalid|validation|required|missing/i]
+];
+
+/**
+ * Pull the interesting fields out of a JSON response body. Looks at the top
+ * level and one level down (e.g. { data: { success: true } }).
+ * @param {*} body - Parsed JSON body
+ * @returns {Object} - { returningUser, accepted, errorCode, errorMessage } (only those found)
+ */
+export function extractResponseFields(body) {
+    const fields = {};
+
+    if (!body || typeof body !== 'object') {
+        return fields;
+    }
+
+    const candidates = [body, ...Object.values(body).filter(v => v && typeof v === 'object' && !Array.isArray(v))];
+
+    for (const [field, aliases] of Object.entries(fieldAliases)) {
+        for (const candidate of candidates) {
+            const alias = aliases.find(name => candidate[name] !== undefined && typeof candidate[name] !== 'object');
+            if (alias) {
+                fields[field] = candidate[alias];
+                break;
+            }
+        }
+    }
+
+    // Field-level errors, e.g. { errors: [{ code: 'INVALID_ZIP', message: '...' }] }
+    if (Array.isArray(body.errors) && body.errors.length > 0) {
+        const codes = body.errors.map(e => e.code).filter(Boolean);
+        const messages = body.errors.map(e => (typeof e === 'string' ? e : e.message)).filter(Boolean);
+
+        if (!fields.errorCode && codes.length > 0) {
+            fields.errorCode = codes.join(' | ');
+        }
+        if (!fields.errorMessage && messages.length > 0) {
+            fields.errorMessage = messages.join(' | ');
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Listen to XHR/fetch responses from the page and its frames, tagging each
+ * with the form action that triggered it (check-user, submit)
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} definition - Sweepstakes definition
+ * @returns {Object} - Monitor with setPhase(), settle(), stop() and responses
+ */
+export function watchWayinResponses(page, definition) {
+    const responses = [];
+    const pending = new Set();
+    let phase = null;
+
+    const onResponse = (response) => {
+        const request = response.request();
+
+        if (!phase ||
+            !['xhr', 'fetch'].includes(request.resourceType()) ||
+            !response.url().includes(definition.apiUrlPattern)) {
+            return;
+        }
+
+        const record = {
+            phase,
+            method: request.method(),
+            url: response.url(),
+            status: response.status(),
+            fields: {},
+            timestamp: new Date().toISOString()
+        };
+        responses.push(record);
+
+        const read = response.text()
+            .then(text => {
+                record.fields = extractResponseFields(JSON.parse(text));
+            })
+            .catch(() => {
+                // Not JSON (or body unavailable) - the status code is all we get
+            })
+            .finally(() => {
+                pending.delete(read);
+                logger.info(`Wayin ${record.phase} response: ${record.status} ${JSON.stringify(record.fields)}`);
+            });
+        pending.add(read);
+    };
+
+    page.on('response', onResponse);
+
+    return {
+        responses,
+
+        /**
+         * Attribute following responses to a form action
+         * @param {string|null} name - e.g. 'check-user', 'submit'
+         */
+        setPhase(name) {
+            phase = name;
+        },
+
+        /**
+         * Wait for response bodies still being read
+         */
+        async settle() {
+            await Promise.all([...pending]);
+        },
+
+        /**
+         * Latest response seen for a phase
+         * @param {string} name - Phase name
+         * @returns {Object|undefined}
+         */
+        last(name) {
+            return responses.filter(r => r.phase === name).pop();
+        },
+
+        stop() {
+            page.off('response', onResponse);
+        }
+    };
+}
+
+/**
+ * Derive the entry outcome from the submit response, if it is conclusive
+ * @param {Object|undefined} response - Recorded submit-phase response
+ * @returns {Object|null} - { status, evidence } or null to fall back to the page
+ */
+export function outcomeFromResponse(response) {
+    if (!response) {
+        return null;
+    }
+
+    const { fields } = response;
+    const evidence = {
+        source: 'network',
+        match: `${response.method} ${response.url} -> ${response.status}`,
+        fields
+    };
+
+    const errorText = [fields.errorCode, fields.errorMessage].filter(Boolean).join(' ');
+    const failed = response.status >= 400 || fields.accepted === false;
+
+    if (failed && errorText) {
+        for (const [status, pattern] of errorPatterns) {
+            if (pattern.test(errorText)) {
+                return { status, evidence };
+            }
+        }
+    }
+
+    if (response.status < 400 && fields.accepted === true) {
+        return { status: OUTCOME.CONFIRMED, evidence };
+    }
+
+    return null;
+}
@@ -0,0 +1,75 @@
+import './setup.js';
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'net';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { profileDir, connectTarget, acquireBrowser, runBatch } from '../src/browser.js';
+
+const defaults = { ...config.browser };
+
+/**
+ * A local port nothing is listening on
+ */
+async function closedPort() {
+    const server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+afterEach(() => {
+    Object.assign(config.browser, defaults);
+});
+
+describe('profileDir', () => {
+    it('uses a throwaway profile by default', () => {
+        assert.equal(profileDir(), null);
+    });
+
+    it('keeps a profile per entrant', () => {
+        config.browser.persistentProfile = true;
+        assert.equal(profileDir(), join(config.paths.browserProfiles, 'test.entrant@example.com'));
+    });
+
+    it('prefers the configured profile directory', () => {
+        config.browser.persistentProfile = true;
+        config.browser.profileDir = '/home/me/.config/chromium';
+        assert.equal(profileDir(), '/home/me/.config/chromium');
+    });
+});
+
+describe('connectTarget', () => {
+    it('launches a browser unless told where one is running', () => {
+        assert.equal(connectTarget(), null);
+    });
+
+    it('connects through the WebSocket endpoint or the debugging port', () => {
+        config.browser.debuggingPort = 9222;
+        assert.deepEqual(connectTarget(), { browserURL: 'http://127.0.0.1:9222' });
+
+        config.browser.wsEndpoint = 'ws://127.0.0.1:9222/devtools/browser/abc';
+        assert.deepEqual(connectTarget(), { browserWSEndpoint: 'ws://127.0.0.1:9222/devtools/browser/abc' });
+    });
+});
+
+describe('connecting to a running browser', () => {
+    let port;
+
+    before(async () => {
+        port = await closedPort();
+    });
+
+    it('explains how to start Chrome when nothing is listening', async () => {
+        config.browser.debuggingPort = port;
+
+        await assert.rejects(acquireBrowser({}), /Could not connect to a browser at http:\/\/127\.0\.0\.1:\d+ - is Chrome running with --remote-debugging-port/);
+    });
+
+    it('still runs the batch when the browser is unavailable', async () => {
+        config.browser.debuggingPort = port;
+
+        assert.equal(await runBatch([{}], async () => 'ran'), 'ran');
+    });
+});
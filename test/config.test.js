@@ -0,0 +1,183 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { workDir } from './setup.js';
+import { config, configProblems } from '../src/config.js';
+import {
+    normalizeState,
+    normalizeZip,
+    normalizePhone,
+    ageOn,
+    createSettingsReader,
+    readPersonalInfo,
+    maskConfig
+} from '../src/config-schema.js';
+
+const entrant = {
+    FIRST_NAME: 'Test',
+    LAST_NAME: 'Entrant',
+    EMAIL: 'test.entrant@example.com',
+    ADDRESS_LINE1: '123 Main St',
+    CITY: 'Charlotte',
+    STATE: 'NC',
+    ZIP_CODE: '28202',
+    PHONE: '980-555-1234',
+    DOB_MONTH: '1',
+    DOB_DAY: '15',
+    DOB_YEAR: '1990'
+};
+
+describe('normalizers', () => {
+    it('turns state names and lowercase codes into codes', () => {
+        assert.equal(normalizeState('north carolina'), 'NC');
+        assert.equal(normalizeState(' ny '), 'NY');
+        assert.equal(normalizeState('Ontario'), 'Ontario');
+    });
+
+    it('formats ZIP codes', () => {
+        assert.equal(normalizeZip('28202'), '28202');
+        assert.equal(normalizeZip('282021234'), '28202-1234');
+        assert.equal(normalizeZip('2820'), '2820');
+    });
+
+    it('formats US phone numbers', () => {
+        assert.equal(normalizePhone('+1 (980) 555-1234'), '980-555-1234');
+        assert.equal(normalizePhone('980.555.1234'), '980-555-1234');
+        assert.equal(normalizePhone('555-1234'), '555-1234');
+    });
+});
+
+describe('ageOn', () => {
+    it('counts the birthday itself, not just the year', () => {
+        const dob = { year: 2005, month: 12, day: 31 };
+        assert.equal(ageOn(dob, { year: 2026, month: 12, day: 30 }), 20);
+        assert.equal(ageOn(dob, { year: 2026, month: 12, day: 31 }), 21);
+    });
+});
+
+describe('createSettingsReader', () => {
+    it('falls back to defaults and records every invalid setting', () => {
+        const settings = createSettingsReader({
+            RETRIES: 'three',
+            ENABLED: 'nope',
+            LATEST: '9:30',
+            SCHEDULE: '0 25 * * *',
+            ZONE: 'Mars/Olympus',
+            HOOK: 'ftp://example.com'
+        });
+
+        assert.equal(settings.int('RETRIES', 3), 3);
+        assert.equal(settings.bool('ENABLED', true), true);
+        assert.equal(settings.time('LATEST', '21:00'), '09:30');
+        assert.equal(settings.cron('SCHEDULE', '0 9 * * *'), '0 9 * * *');
+        assert.equal(settings.timezone('ZONE'), null);
+        assert.equal(settings.url('HOOK'), null);
+
+        assert.deepEqual(settings.problems.map(problem => problem.split(':')[0]), ['RETRIES', 'ENABLED', 'SCHEDULE', 'ZONE', 'HOOK']);
+    });
+
+    it('checks URL schemes', () => {
+        const settings = createSettingsReader({ DEVTOOLS: 'ws://127.0.0.1:9222/devtools/browser/abc', HOOK: 'ws://example.com' });
+
+        assert.equal(settings.url('DEVTOOLS', null, { protocols: ['ws:', 'wss:'] }), 'ws://127.0.0.1:9222/devtools/browser/abc');
+        assert.equal(settings.url('HOOK'), null);
+        assert.deepEqual(settings.problems, ['HOOK: "ws://example.com" is not an http(s) URL']);
+    });
+});
+
+describe('readPersonalInfo', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+
+    it('normalizes the entrant details', () => {
+        const settings = createSettingsReader({ ...entrant, STATE: 'north carolina', PHONE: '(980) 555 1234', EMAIL: 'Test@Example.com' });
+        const info = readPersonalInfo(settings, now);
+
+        assert.deepEqual(settings.problems, []);
+        assert.equal(info.state, 'NC');
+        assert.equal(info.phone, '980-555-1234');
+        assert.equal(info.email, 'test@example.com');
+        assert.equal(info.dobMonth, '01');
+    });
+
+    it('reports all problems at once', () => {
+        const settings = createSettingsReader({ ...entrant, FIRST_NAME: '', EMAIL: 'nobody', STATE: 'ZZ', ZIP_CODE: '123', PHONE: '12345' });
+        readPersonalInfo(settings, now);
+
+        assert.deepEqual(settings.problems.map(problem => problem.split(':')[0]), ['FIRST_NAME', 'EMAIL', 'STATE', 'ZIP_CODE', 'PHONE']);
+    });
+
+    it('checks the full date of birth', () => {
+        const turning21 = createSettingsReader({ ...entrant, DOB_YEAR: '2005', DOB_MONTH: '12', DOB_DAY: '31' });
+        readPersonalInfo(turning21, now);
+        assert.match(turning21.problems[0], /^DOB_YEAR: you must be at least 21 .* from 2026-12-31/);
+
+        const notADate = createSettingsReader({ ...entrant, DOB_MONTH: '2', DOB_DAY: '30' });
+        readPersonalInfo(notADate, now);
+        assert.match(notADate.problems[0], /^DOB_DAY: /);
+    });
+});
+
+describe('maskConfig', () => {
+    it('hides personal details and secrets', () => {
+        const masked = maskConfig({
+            ...config,
+            captcha: { ...config.captcha, solverApiKey: 'secret-key' },
+            notifications: { ...config.notifications, webhookUrl: 'https://hooks.example.com/T000/secret' }
+        });
+        const printed = JSON.stringify(masked);
+
+        assert.equal(masked.personalInfo.email, 't***********@example.com');
+        assert.equal(masked.personalInfo.phone, '***-***-1234');
+        for (const secret of ['Entrant', '123 Main', '28202', '1990', 'secret']) {
+            assert.equal(printed.includes(secret), false, `${secret} is masked`);
+        }
+        assert.equal(masked.notifications.webhookUrl, 'https://hooks.example.com/********');
+    });
+});
+
+describe('config', () => {
+    it('loads the test environment without problems', () => {
+        assert.deepEqual(configProblems, []);
+        assert.equal(config.personalInfo.dobMonth, '01');
+    });
+
+    it('reads a YAML config file, with the environment winning, and never exits on import', () => {
+        const file = join(workDir, 'config.yaml');
+        writeFileSync(file, [
+            'entrant:',
+            '  CITY: Raleigh',
+            '  ZIP_CODE: 27601',
+            'HGTV_SCHEDULE: "15 8 * * *"',
+            'FOODNETWORK_SWEEPSTAKES: [summer-grilling, holiday]'
+        ].join('\n'));
+
+        const configUrl = new URL('../src/config.js', import.meta.url).href;
+        const script = `
+            const { config, configProblems, configFilePath } = await import(${JSON.stringify(configUrl)});
+            console.log(JSON.stringify({ config, configProblems, configFilePath }));`;
+
+        const { FIRST_NAME, ZIP_CODE, ...env } = process.env;
+        const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+            env: { ...env, CONFIG_FILE: file, CITY: 'Durham', HGTV_RETRY_BACKOFF_MINUTES: '0' },
+            cwd: fileURLToPath(new URL('..', import.meta.url)),
+            encoding: 'utf8'
+        });
+
+        assert.equal(child.status, 0, child.stderr);
+        const result = JSON.parse(child.stdout);
+        assert.equal(result.configFilePath, file);
+        assert.deepEqual(result.configProblems, [
+            'FIRST_NAME: is required',
+            'HGTV_RETRY_BACKOFF_MINUTES: "0" is not a number of at least 1'
+        ]);
+        assert.equal(result.config.sweepstakes.hgtv.retry.backoffMinutes, 15);
+        assert.equal(result.config.personalInfo.city, 'Durham');
+        assert.equal(result.config.personalInfo.zipCode, '27601');
+        assert.equal(result.config.sweepstakes.hgtv.schedule, '15 8 * * *');
+        assert.deepEqual(result.config.sweepstakes.foodNetwork.allowList, ['summer-grilling', 'holiday']);
+    });
+});
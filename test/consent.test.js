@@ -0,0 +1,46 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyCheckbox, CHECKBOX_KIND } from '../src/consent.js';
+
+describe('classifyCheckbox', () => {
+    const cases = [
+        ['I have read and agree to the Official Rules *', CHECKBOX_KIND.RULES],
+        ["I agree to the Terms of Use and the Sponsor's Privacy Policy", CHECKBOX_KIND.RULES],
+        ['I am a legal resident of the 50 United States and at least 21 years of age', CHECKBOX_KIND.RULES],
+        ['Yes, send me the HGTV newsletter', CHECKBOX_KIND.NEWSLETTER],
+        ['I would like to receive emails from Food Network about recipes and special offers', CHECKBOX_KIND.NEWSLETTER],
+        ['Send me email updates about new sweepstakes', CHECKBOX_KIND.NEWSLETTER],
+        ['Send me offers from carefully selected partners', CHECKBOX_KIND.PARTNER],
+        ['Share my information with third parties', CHECKBOX_KIND.PARTNER],
+        ['Remember me', CHECKBOX_KIND.UNKNOWN],
+        ['', CHECKBOX_KIND.UNKNOWN]
+    ];
+
+    for (const [label, kind] of cases) {
+        it(`classifies "${label}" as ${kind}`, () => {
+            assert.equal(classifyCheckbox(label), kind);
+        });
+    }
+
+    it('treats a box that bundles the rules with marketing as marketing', () => {
+        assert.equal(
+            classifyCheckbox('I agree to the Official Rules and to receive promotions from HGTV'),
+            CHECKBOX_KIND.NEWSLETTER
+        );
+        assert.equal(
+            classifyCheckbox('I accept the Official Rules and would like to receive updates from Food Network'),
+            CHECKBOX_KIND.NEWSLETTER
+        );
+    });
+
+    it('does not take a rules box that mentions the promotion for marketing', () => {
+        for (const label of [
+            'I have read and agree to the Official Rules of this Promotion',
+            'I agree to the Official Rules of the HGTV Dream Home 2026 Promotions',
+            'I agree to the Terms and Conditions, including any updates posted to the Official Rules'
+        ]) {
+            assert.equal(classifyCheckbox(label), CHECKBOX_KIND.RULES, label);
+        }
+    });
+});
@@ -0,0 +1,97 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFireTimes, getFireTimesSoFarToday, getNextFireTimes, countFireTimesPerDay } from '../src/cron-schedule.js';
+
+describe('getFireTimes', () => {
+    it('evaluates the expression in Eastern Time', () => {
+        const fireTimes = getFireTimes(
+            '0 9 * * *',
+            new Date('2025-01-06T00:00:00Z'),
+            new Date('2025-01-08T00:00:00Z')
+        );
+
+        assert.deepEqual(fireTimes.map(d => d.toISOString()), [
+            '2025-01-06T14:00:00.000Z',
+            '2025-01-07T14:00:00.000Z'
+        ]);
+    });
+
+    it('follows daylight saving time', () => {
+        const [fireTime] = getFireTimes(
+            '0 9 * * *',
+            new Date('2025-07-01T00:00:00Z'),
+            new Date('2025-07-02T00:00:00Z')
+        );
+
+        assert.equal(fireTime.toISOString(), '2025-07-01T13:00:00.000Z');
+    });
+
+    it('reads month and weekday names, a seconds field and Sunday as 7', () => {
+        const from = new Date('2025-01-01T00:00:00Z');
+        const to = new Date('2025-12-31T23:59:00Z');
+
+        assert.equal(getFireTimes('0 12 * jan,Jul mon', from, to).length, 8);
+        assert.equal(getFireTimes('0 0 9 * * 7', from, to).length, 52);
+        assert.deepEqual(getFireTimes('0 9 * * sun', from, to), getFireTimes('0 9 * * 0', from, to));
+    });
+
+    it('keeps the step values node-cron fires on', () => {
+        const fireTimes = getFireTimes(
+            '0 1-10/3 * * *',
+            new Date('2025-01-06T05:00:00Z'),
+            new Date('2025-01-07T04:59:00Z')
+        );
+
+        assert.deepEqual(fireTimes.map(d => d.toISOString()), [
+            '2025-01-06T08:00:00.000Z',
+            '2025-01-06T11:00:00.000Z',
+            '2025-01-06T14:00:00.000Z'
+        ]);
+    });
+});
+
+describe('getFireTimesSoFarToday', () => {
+    it('only includes times already passed on the current ET day', () => {
+        // 10:15 AM ET on Jan 6
+        const now = new Date('2025-01-06T15:15:00Z');
+
+        assert.equal(getFireTimesSoFarToday('0 9 * * *', now).length, 1);
+        assert.equal(getFireTimesSoFarToday('0 11 * * *', now).length, 0);
+        assert.equal(getFireTimesSoFarToday('*/30 9-10 * * *', now).length, 3);
+    });
+
+    it('uses the ET day, not the UTC day', () => {
+        // 11:30 PM ET on Jan 6 is already Jan 7 in UTC
+        const now = new Date('2025-01-07T04:30:00Z');
+
+        assert.equal(getFireTimesSoFarToday('0 9 * * *', now)[0].toISOString(), '2025-01-06T14:00:00.000Z');
+    });
+});
+
+describe('getNextFireTimes', () => {
+    it('returns the requested number of upcoming runs', () => {
+        const fireTimes = getNextFireTimes('30 9 * * *', 2, new Date('2025-01-06T15:00:00Z'));
+
+        assert.deepEqual(fireTimes.map(d => d.toISOString()), [
+            '2025-01-07T14:30:00.000Z',
+            '2025-01-08T14:30:00.000Z'
+        ]);
+    });
+
+    it('finds rare schedules', () => {
+        const [fireTime] = getNextFireTimes('0 9 1 3 *', 1, new Date('2025-01-06T15:00:00Z'));
+        assert.equal(fireTime.toISOString(), '2025-03-01T14:00:00.000Z');
+    });
+});
+
+describe('countFireTimesPerDay', () => {
+    it('flags days with several runs and days with none', () => {
+        // Monday Jan 6 2025 through Sunday Jan 12
+        const counts = countFireTimesPerDay('0 9,21 * * 1-5', 7, new Date('2025-01-06T15:00:00Z'));
+
+        assert.deepEqual(counts.map(d => d.count), [2, 2, 2, 2, 2, 0, 0]);
+        assert.equal(counts[0].day, '2025-01-06');
+        assert.equal(counts[6].day, '2025-01-12');
+    });
+});
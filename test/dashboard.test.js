@@ -0,0 +1,197 @@
+import './setup.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'http';
+import { Writable } from 'stream';
+import winston from 'winston';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { logger } from '../src/logger.js';
+import { appendSubmission } from '../src/history-store.js';
+import { startDashboard } from '../src/dashboard.js';
+import { getSchedulerState, pauseSweepstakes, triggerRun, catchUpMissedEntries } from '../src/scheduler.js';
+import { sweepstakes } from '../src/sweepstakes.js';
+import { getZonedParts, zonedTimeToDate } from '../src/timezone.js';
+
+describe('dashboard', () => {
+    let server;
+    let base;
+    const calls = [];
+
+    // Stand-in for the scheduler
+    const controls = {
+        state: () => [
+            { id: 'hgtv', name: 'HGTV', schedule: '0 9 * * *', enabled: true, paused: false, running: false, nextRun: '2099-01-01T14:00:00.000Z' },
+            { id: 'foodnetwork', name: 'Food Network', schedule: '5 9 * * *', enabled: true, paused: false, running: true, nextRun: null }
+        ],
+        run: (id, options) => {
+            calls.push(['run', id, options.dryRun]);
+            return id === 'foodnetwork' ? 'Food Network is already running' : null;
+        },
+        pause: (id) => {
+            calls.push(['pause', id]);
+            return true;
+        },
+        resume: (id) => {
+            calls.push(['resume', id]);
+            return true;
+        }
+    };
+
+    const post = (path) => fetch(`${base}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+
+    before(async () => {
+        rmSync(config.paths.data, { recursive: true, force: true });
+        rmSync(config.paths.runs, { recursive: true, force: true });
+
+        await appendSubmission({ site: 'hgtv', success: false, status: 'timeout', timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() });
+        await appendSubmission({ site: 'foodnetwork-summer-grilling', success: false, status: 'timeout', timestamp: new Date().toISOString() });
+
+        const dir = join(config.paths.runs, 'run-1');
+        mkdirSync(dir, { recursive: true });
+        writeFileSync(join(dir, '07-submitted.png'), 'png');
+        writeFileSync(join(dir, 'manifest.json'), JSON.stringify({
+            runId: 'run-1',
+            sweepstakes: { id: 'hgtv', name: 'HGTV' },
+            startedAt: new Date().toISOString(),
+            durationMs: 1000,
+            dryRun: false,
+            status: 'confirmed',
+            screenshots: [{ name: '07-submitted.png' }]
+        }));
+
+        config.dashboard.port = 0;
+        server = await startDashboard(controls);
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server?.close();
+    });
+
+    beforeEach(() => {
+        calls.length = 0;
+        config.dashboard.token = null;
+    });
+
+    it('reports each sweepstakes with today and its latest run', async () => {
+        const { sweepstakes } = await (await fetch(`${base}/api/status`)).json();
+
+        const [hgtv, foodNetwork] = sweepstakes;
+        assert.equal(hgtv.nextRun, '2099-01-01T14:00:00.000Z');
+        assert.deepEqual(hgtv.today, { entered: false, attempts: 0, lastStatus: null });
+        assert.deepEqual(hgtv.lastRun.screenshots, ['/runs/run-1/07-submitted.png']);
+        // Discovered sweepstakes count for their listing
+        assert.deepEqual(foodNetwork.today, { entered: false, attempts: 1, lastStatus: 'timeout' });
+    });
+
+    it('serves the page, the history and run screenshots', async () => {
+        assert.match(await (await fetch(`${base}/`)).text(), /Sweepstakes scheduler/);
+        assert.equal((await (await fetch(`${base}/api/history`)).json()).records.length, 2);
+        assert.equal(await (await fetch(`${base}/runs/run-1/07-submitted.png`)).text(), 'png');
+        assert.equal((await fetch(`${base}/runs/../manifest.png`)).status, 404);
+    });
+
+    it('pages the history with a bounded, positive limit', async () => {
+        const sizes = {};
+        for (const limit of ['1', '-5', '1.5', 'abc', '100000']) {
+            sizes[limit] = (await (await fetch(`${base}/api/history?limit=${limit}`)).json()).records.length;
+        }
+
+        assert.deepEqual(sizes, { 1: 1, '-5': 2, 1.5: 1, abc: 2, 100000: 2 });
+        // Newest first
+        const [latest] = (await (await fetch(`${base}/api/history?limit=1`)).json()).records;
+        assert.equal(latest.site, 'foodnetwork-summer-grilling');
+    });
+
+    it('starts runs and pauses sweepstakes', async () => {
+        assert.equal((await post('/api/sweepstakes/hgtv/dry-run')).status, 202);
+        assert.equal((await post('/api/sweepstakes/hgtv/pause')).status, 200);
+
+        const busy = await post('/api/sweepstakes/foodnetwork/run');
+        assert.equal(busy.status, 409);
+        assert.equal((await busy.json()).error, 'Food Network is already running');
+
+        assert.equal((await post('/api/sweepstakes/nope/run')).status, 404);
+        assert.deepEqual(calls, [['run', 'hgtv', true], ['pause', 'hgtv'], ['run', 'foodnetwork', false]]);
+    });
+
+    it('only takes actions as JSON POSTs', async () => {
+        assert.equal((await fetch(`${base}/api/sweepstakes/hgtv/run`)).status, 405);
+        assert.equal((await fetch(`${base}/api/sweepstakes/hgtv/run`, { method: 'POST', body: 'x=1' })).status, 415);
+        assert.deepEqual(calls, []);
+    });
+
+    it('requires the token when one is set', async () => {
+        config.dashboard.token = 'letmein';
+
+        assert.equal((await fetch(`${base}/api/status`)).status, 401);
+        assert.equal((await fetch(`${base}/api/status?token=wrong`)).status, 401);
+        assert.equal((await fetch(`${base}/api/status?token=letmein`)).status, 200);
+        assert.equal((await fetch(`${base}/api/status`, { headers: { Authorization: 'Bearer letmein' } })).status, 200);
+    });
+
+    it('refuses requests for another host name', async () => {
+        const status = await new Promise((resolve, reject) => {
+            request(`${base}/api/status`, { headers: { Host: 'evil.example.com' } }, response => {
+                response.resume();
+                resolve(response.statusCode);
+            }).on('error', reject).end();
+        });
+
+        assert.equal(status, 403);
+    });
+});
+
+describe('scheduler controls', () => {
+    it('only pauses and schedules sweepstakes the scheduler started', () => {
+        assert.equal(pauseSweepstakes('hgtv'), false);
+        assert.ok(getSchedulerState().every(state => state.nextRun === null && !state.paused));
+    });
+
+    it('catches up by the same rate limit rule the entry enforces', async () => {
+        const messages = [];
+        const transport = new winston.transports.Stream({
+            stream: new Writable({
+                objectMode: true,
+                write(info, encoding, callback) {
+                    messages.push(info.message);
+                    callback();
+                }
+            }),
+            level: 'info'
+        });
+        const saved = { level: logger.level, hgtv: { ...sweepstakes.hgtv }, foodnetwork: sweepstakes.foodnetwork.enabled };
+
+        // Entered 16 hours ago, yesterday ET: a new contest day, but still
+        // inside a rolling 24-hour window
+        const noon = zonedTimeToDate(getZonedParts(new Date()), '12:00');
+        await appendSubmission({ site: 'hgtv', success: true, status: 'confirmed', timestamp: new Date(noon.getTime() - 16 * 60 * 60 * 1000).toISOString() });
+
+        Object.assign(sweepstakes.hgtv, { schedule: '0 9 * * *', rateLimit: { window: 'rolling', hours: 24 } });
+        sweepstakes.foodnetwork.enabled = false;
+        logger.level = 'info';
+        logger.add(transport);
+        try {
+            await catchUpMissedEntries(noon);
+        } finally {
+            logger.remove(transport);
+            logger.level = saved.level;
+            Object.assign(sweepstakes.hgtv, saved.hgtv);
+            sweepstakes.foodnetwork.enabled = saved.foodnetwork;
+        }
+
+        assert.ok(messages.some(message => /Rate limit: Already entered hgtv/.test(message)));
+        assert.ok(!messages.some(message => /missed its/.test(message)));
+    });
+
+    it('does not run a disabled sweepstakes for real', () => {
+        sweepstakes.hgtv.enabled = false;
+        try {
+            assert.equal(triggerRun('hgtv'), `${sweepstakes.hgtv.name} is disabled`);
+        } finally {
+            sweepstakes.hgtv.enabled = true;
+        }
+    });
+});
@@ -0,0 +1,62 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEndDate, slugFromUrl, isAllowed, discoveredDefinition } from '../src/discovery.js';
+import { sweepstakes } from '../src/sweepstakes.js';
+
+describe('parseEndDate', () => {
+    it('reads numeric and written dates as the end of that day in ET', () => {
+        assert.equal(parseEndDate('Ends 12/31/2026'), '2027-01-01T04:59:59.000Z');
+        assert.equal(parseEndDate('Enter by Dec. 31, 2026 at 11:59 PM'), '2027-01-01T04:59:59.000Z');
+        assert.equal(parseEndDate('Sweepstakes ended July 4, 2026'), '2026-07-05T03:59:59.000Z');
+        assert.equal(parseEndDate('Ends: 3/1/27'), '2027-03-02T04:59:59.000Z');
+    });
+
+    it('uses a time given with the date', () => {
+        assert.equal(parseEndDate('Ends Dec. 31, 2026 at 5:00 PM ET'), '2026-12-31T22:00:00.000Z');
+    });
+
+    it('returns null without a recognisable date', () => {
+        assert.equal(parseEndDate('Enter daily for a chance to win!'), null);
+        assert.equal(parseEndDate('Ends Someday 12, 2026'), null);
+    });
+});
+
+describe('slugFromUrl', () => {
+    it('uses the last path segment', () => {
+        assert.equal(slugFromUrl('https://www.foodnetwork.com/sweepstakes/summer-grilling/'), 'summer-grilling');
+    });
+});
+
+describe('isAllowed', () => {
+    const found = { slug: 'summer-grilling', title: 'Summer Grilling Sweepstakes' };
+
+    it('allows everything with an empty list', () => {
+        assert.equal(isAllowed(found, []), true);
+    });
+
+    it('matches slugs exactly and titles by words', () => {
+        assert.equal(isAllowed(found, ['summer-grilling']), true);
+        assert.equal(isAllowed(found, ['grilling']), true);
+        assert.equal(isAllowed(found, ['summer']), true);
+        assert.equal(isAllowed(found, ['holiday-baking']), false);
+    });
+});
+
+describe('discoveredDefinition', () => {
+    it('gives each discovered sweepstakes its own ID for history and rate limits', () => {
+        const definition = discoveredDefinition(sweepstakes.foodnetwork, {
+            slug: 'summer-grilling',
+            title: 'Summer Grilling Sweepstakes',
+            url: 'https://www.foodnetwork.com/sweepstakes/summer-grilling',
+            wayinUrl: 'https://xd.wayin.com/display/container/dc/abc',
+            endDate: '2027-01-01T04:59:59.000Z'
+        });
+
+        assert.equal(definition.id, 'foodnetwork-summer-grilling');
+        assert.equal(definition.name, 'Food Network: Summer Grilling Sweepstakes');
+        assert.equal(definition.screenshotPrefix, 'foodnetwork-summer-grilling');
+        assert.equal(definition.discover, false);
+        assert.deepEqual(definition.selectors, sweepstakes.foodnetwork.selectors);
+    });
+});
@@ -0,0 +1,160 @@
+import './setup.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'fs';
+import { config } from '../src/config.js';
+import { sweepstakes } from '../src/sweepstakes.js';
+import {
+    parseOfficialRules,
+    parsePeriodDate,
+    getPeriodStatus,
+    resolveEntryPeriod,
+    PERIOD_STATE
+} from '../src/entry-period.js';
+import { checkEntryPeriod } from '../src/scheduler.js';
+import { startWayinFixtureServer } from './fixtures/wayin-server.js';
+
+describe('parseOfficialRules', () => {
+    it('reads the period, its timezone and the daily limit', () => {
+        const rules = parseOfficialRules('The HGTV Dream Home 2026 Sweepstakes (the "Sweepstakes") begins at ' +
+            '9:00 a.m. Eastern Time ("ET") on December 27, 2025 and ends at 5:00 p.m. ET on February 18, 2026 ' +
+            '(the "Sweepstakes Period"). Limit one (1) entry per person per day.');
+
+        assert.deepEqual(rules, {
+            start: '2025-12-27T14:00:00.000Z',
+            end: '2026-02-18T22:00:00.000Z',
+            timezone: 'America/New_York',
+            dailyLimit: 1
+        });
+    });
+
+    it('handles numeric dates, other timezones and times after the date', () => {
+        const rules = parseOfficialRules('Sweepstakes starts on 6/1/26 at 12:00 p.m. PT and ends on 6/30/26 at ' +
+            '11:59 p.m. PT. You may enter up to three (3) times per day.');
+
+        assert.equal(rules.start, '2026-06-01T19:00:00.000Z');
+        assert.equal(rules.end, '2026-07-01T06:59:59.000Z');
+        assert.equal(rules.timezone, 'America/Los_Angeles');
+        assert.equal(rules.dailyLimit, 3);
+    });
+
+    it('leaves out what it cannot find', () => {
+        assert.deepEqual(parseOfficialRules('NO PURCHASE NECESSARY. Open to legal residents of the US.'), {
+            start: null,
+            end: null,
+            timezone: null,
+            dailyLimit: null
+        });
+    });
+});
+
+describe('parsePeriodDate', () => {
+    it('reads bare dates as the start or end of the day in the timezone', () => {
+        assert.equal(parsePeriodDate('2026-02-18'), '2026-02-18T05:00:00.000Z');
+        assert.equal(parsePeriodDate('2026-02-18', 'America/New_York', true), '2026-02-19T04:59:59.000Z');
+        assert.equal(parsePeriodDate('2026-02-18 17:00', 'America/Chicago', true), '2026-02-18T23:00:00.000Z');
+    });
+
+    it('keeps explicit offsets and rejects anything else', () => {
+        assert.equal(parsePeriodDate('2026-02-18T17:00:00-08:00'), '2026-02-19T01:00:00.000Z');
+        assert.equal(parsePeriodDate('next week'), null);
+        assert.equal(parsePeriodDate(null), null);
+    });
+});
+
+describe('getPeriodStatus', () => {
+    const period = { start: '2026-01-01T05:00:00.000Z', end: '2026-02-19T04:59:59.000Z', timezone: 'America/New_York' };
+
+    it('counts contest days to the start and to the end', () => {
+        assert.deepEqual(getPeriodStatus(period, new Date('2025-12-30T12:00:00Z')),
+            { state: PERIOD_STATE.UPCOMING, daysLeft: null, startsIn: 2 });
+        assert.deepEqual(getPeriodStatus(period, new Date('2026-02-16T15:00:00Z')),
+            { state: PERIOD_STATE.OPEN, daysLeft: 2, startsIn: null });
+        assert.equal(getPeriodStatus(period, new Date('2026-02-18T23:00:00Z')).daysLeft, 0);
+    });
+
+    it('reports ended and unknown periods', () => {
+        assert.equal(getPeriodStatus(period, new Date('2026-02-19T05:00:00Z')).state, PERIOD_STATE.ENDED);
+        assert.equal(getPeriodStatus({ start: null, end: null, timezone: 'America/New_York' }).state, PERIOD_STATE.UNKNOWN);
+    });
+});
+
+describe('resolveEntryPeriod', () => {
+    let server;
+
+    before(async () => {
+        server = await startWayinFixtureServer();
+    });
+
+    after(async () => {
+        await server?.close();
+    });
+
+    beforeEach(() => {
+        rmSync(config.paths.officialRules, { recursive: true, force: true });
+    });
+
+    it('reads the official rules page and caches it', async () => {
+        const definition = {
+            ...sweepstakes.hgtv,
+            id: 'rules-test',
+            period: { rulesUrl: server.url('/sweepstakes/summer-grilling/official-rules') }
+        };
+
+        const period = await resolveEntryPeriod(definition);
+        assert.equal(period.source, 'rules');
+        assert.equal(period.start, '2099-01-01T14:00:00.000Z');
+        assert.equal(period.end, '2099-12-31T22:00:00.000Z');
+        assert.equal(period.dailyLimit, 2);
+
+        const fetched = server.requests.filter(r => r.path.endsWith('/official-rules')).length;
+        await resolveEntryPeriod(definition);
+        assert.equal(server.requests.filter(r => r.path.endsWith('/official-rules')).length, fetched);
+    });
+
+    it('prefers configured values over the rules', async () => {
+        const period = await resolveEntryPeriod({
+            ...sweepstakes.hgtv,
+            id: 'rules-test',
+            period: {
+                end: '2099-06-30',
+                dailyLimit: 1,
+                rulesUrl: server.url('/sweepstakes/summer-grilling/official-rules')
+            }
+        });
+
+        assert.equal(period.source, 'config');
+        assert.equal(period.start, '2099-01-01T14:00:00.000Z');
+        assert.equal(period.end, '2099-07-01T03:59:59.000Z');
+        assert.equal(period.dailyLimit, 1);
+    });
+
+    it('falls back to the end date on a discovered sweepstakes card', async () => {
+        const period = await resolveEntryPeriod({ id: 'card', period: {}, endDate: '2099-12-02T04:59:59.000Z' });
+
+        assert.equal(period.source, 'listing');
+        assert.equal(period.end, '2099-12-02T04:59:59.000Z');
+        assert.equal(period.dailyLimit, 1);
+    });
+});
+
+describe('checkEntryPeriod', () => {
+    it('skips runs before the period starts', async () => {
+        const definition = { ...sweepstakes.hgtv, period: { start: '2099-01-01' } };
+
+        assert.equal(await checkEntryPeriod(definition), false);
+        assert.equal(definition.enabled, true);
+    });
+
+    it('disables a sweepstakes once it has ended', async () => {
+        const definition = { ...sweepstakes.hgtv, period: { end: '2020-01-01' } };
+
+        assert.equal(await checkEntryPeriod(definition), false);
+        assert.equal(definition.enabled, false);
+    });
+
+    it('runs inside the period and without one', async () => {
+        assert.equal(await checkEntryPeriod({ ...sweepstakes.hgtv, period: { end: '2099-12-31' } }), true);
+        assert.equal(await checkEntryPeriod({ ...sweepstakes.hgtv, period: {} }), true);
+    });
+});
@@ -0,0 +1,54 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIELD_STATUS, compareFieldValue, createFieldReport } from '../src/field-report.js';
+
+describe('compareFieldValue', () => {
+    it('verifies an exact or reformatted value', () => {
+        assert.equal(compareFieldValue('Charlotte', 'Charlotte').status, FIELD_STATUS.VERIFIED);
+        assert.equal(compareFieldValue('980-555-1234', '(980) 555-1234').status, FIELD_STATUS.VERIFIED);
+    });
+
+    it('rejects a field the form left empty', () => {
+        assert.equal(compareFieldValue('28202', '').status, FIELD_STATUS.REJECTED);
+    });
+
+    it('reports a different value as filled', () => {
+        assert.equal(compareFieldValue('28202', '2820').status, FIELD_STATUS.FILLED);
+    });
+});
+
+describe('createFieldReport', () => {
+    const verified = { status: FIELD_STATUS.VERIFIED, message: null };
+
+    it('marks fields named by validation messages as rejected', () => {
+        const report = createFieldReport();
+        report.add('address', 'city', 'address_City', verified);
+        report.add('address', 'zipCode', 'address_ZipCode', verified);
+
+        report.addValidation('address', [{ field: 'address_ZipCode', text: 'Please enter a valid ZIP code.' }]);
+
+        const { fields, validation } = report.toJSON();
+        assert.equal(fields[0].status, FIELD_STATUS.VERIFIED);
+        assert.deepEqual(fields[1], {
+            step: 'address',
+            field: 'zipCode',
+            selector: 'address_ZipCode',
+            status: FIELD_STATUS.REJECTED,
+            message: 'Please enter a valid ZIP code.'
+        });
+        assert.equal(validation.length, 1);
+    });
+
+    it('only fails required fields that are missing or rejected', () => {
+        const report = createFieldReport();
+        report.add('address', 'addressLine2', 'address_AddressLine2', { status: FIELD_STATUS.MISSING });
+        report.add('address', 'city', 'address_City', { status: FIELD_STATUS.MISSING, message: '#address_City not found' });
+        report.add('address', 'phone', 'phone_Phone', { status: FIELD_STATUS.FILLED });
+
+        const failed = report.failedRequired(['city', 'phone']);
+
+        assert.deepEqual(failed.map(f => f.field), ['city']);
+        assert.equal(report.summary(), '1 filled, 2 missing');
+    });
+});
@@ -0,0 +1,68 @@
+import { createServer } from 'net';
+
+/**
+ * Minimal SMTP stand-in: accepts every message without auth or TLS and
+ * keeps the raw DATA of each one so tests can inspect what was sent.
+ * @returns {Promise<Object>} - { port, messages, close() }
+ */
+export async function startSmtpServer() {
+    const messages = [];
+
+    const server = createServer(socket => {
+        let buffer = '';
+        let message = null;
+
+        const reply = (line) => socket.write(`${line}\r\n`);
+        reply('220 localhost ESMTP test');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (message && message.reading) {
+                    if (line === '.') {
+                        message.reading = false;
+                        messages.push({ from: message.from, to: message.to, data: message.data.join('\r\n') });
+                        message = null;
+                        reply('250 OK: queued');
+                    } else {
+                        message.data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 localhost');
+                } else if (command === 'MAIL') {
+                    message = { from: line.slice(10).trim(), to: [], data: [], reading: false };
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    message.to.push(line.slice(8).trim());
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    message.reading = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        port: server.address().port,
+        messages,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
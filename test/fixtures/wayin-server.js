@@ -0,0 +1,356 @@
+import { createServer } from 'http';
+
+/**
+ * Local stand-in for a sweepstakes landing page and the Wayin form it embeds.
+ *
+ * Routes:
+ *   GET  /landing?frame=eager|lazy|none&...  Landing page with the ngxFrame iframe
+ *   GET  /sweepstakes                        Listing of sweepstakes (open, ended, no form)
+ *   GET  /sweepstakes/<slug>                 A listed sweepstakes (returning-user form)
+ *   GET  /sweepstakes/<slug>/official-rules  Its official rules (entry period, daily limit)
+ *   GET  /wayin/form?flow=&result=           Mock Wayin form
+ *   POST /wayin/api/check-user               Returning-user lookup
+ *   POST /wayin/api/submit                   Entry submission
+ *
+ * Form query parameters:
+ *   flow   - new (registration, trivia, address/DOB), returning (trivia, submit)
+ *            or closed (entry period over, no form)
+ *   result - what the form shows after submit: thanks (thank-you page),
+ *            already (already entered today), invalid (inline validation
+ *            error), captcha (human verification) or error (generic error page)
+ *   captcha - reCAPTCHA widget on the screen with the submit button:
+ *            solve (a "human" solves it after a second) or unsolved
+ *   drop    - ID of a field to leave out of the form
+ *   reject  - ID of a field that shows an inline validation error once typed in
+ *   consent - 1 to add checkboxes before the submit button: official rules
+ *            (required), sponsor newsletter (pre-ticked) and partner offers
+ */
+
+const states = ['CA', 'NC', 'NY', 'TX'];
+const pad = (n) => String(n).padStart(2, '0');
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+function options(values, placeholder) {
+    return [`<option value="">${placeholder}</option>`]
+        .concat(values.map(value => `<option value="${value}">${value}</option>`))
+        .join('');
+}
+
+const screens = {
+    email: `
+        <h2>Enter with your email</h2>
+        <input id="xReturningUserEmail" type="email" name="email">
+        <button id="xCheckUser" type="button">Continue</button>`,
+    registration: `
+        <h2>Tell us about yourself</h2>
+        <input id="name_Firstname" type="text" name="firstName">
+        <input id="name_Lastname" type="text" name="lastName">
+        <button class="xActionNext" type="button">Next</button>`,
+    trivia: `
+        <h2 class="xTriviaQuestion">Which room gets the most natural light?</h2>
+        <label><input type="radio" name="trivia" value="kitchen"> Kitchen</label>
+        <label><input type="radio" name="trivia" value="sunroom"> Sunroom</label>
+        <button class="xActionNext" type="button">Next</button>`,
+    address: `
+        <h2>Where should we send your prize?</h2>
+        <input id="address_AddressLine1" type="text" name="addressLine1">
+        <input id="address_AddressLine2" type="text" name="addressLine2">
+        <input id="address_City" type="text" name="city">
+        <select id="address_State" name="state">${options(states, 'State')}</select>
+        <input id="address_ZipCode" type="text" name="zipCode">
+        <input id="phone_Phone" type="tel" name="phone">
+        <select id="dob_Month" name="dobMonth">${options(range(1, 12).map(pad), 'Month')}</select>
+        <select id="dob_Day" name="dobDay">${options(range(1, 31).map(pad), 'Day')}</select>
+        <select id="dob_Year" name="dobYear">${options(range(1920, 2010).reverse(), 'Year')}</select>
+        <button class="xSubmit" type="button">Submit Entry</button>`,
+    submit: `
+        <h2>Welcome back!</h2>
+        <button class="xSubmit" type="button">Submit Entry</button>`,
+    thanks: `
+        <h2 class="xThankYou">Thank you for entering!</h2>
+        <p>Come back tomorrow to enter again.</p>`,
+    already: `
+        <h2>You have already entered today.</h2>
+        <p>Come back tomorrow for another chance to win.</p>`,
+    invalid: `
+        <h2>Where should we send your prize?</h2>
+        <span class="xError">Please enter a valid ZIP code.</span>
+        <button class="xSubmit" type="button">Submit Entry</button>`,
+    captcha: `
+        <h2>One more step</h2>
+        <p>Please verify you are a human before submitting.</p>`,
+    error: `
+        <h2 class="xErrorPage">Sorry, something went wrong.</h2>
+        <p>Please try again later.</p>`,
+    closed: `
+        <h2 class="xClosed">This sweepstakes has ended.</h2>
+        <p>Thank you for your interest.</p>`
+};
+
+const captchaWidget = `
+        <div class="g-recaptcha" data-sitekey="test">
+            <textarea id="g-recaptcha-response" name="g-recaptcha-response" style="display: none"></textarea>
+        </div>`;
+
+const consentBoxes = `
+        <label><input type="checkbox" id="optin_Rules" name="rules" required> I have read and agree to the Official Rules *</label>
+        <label><input type="checkbox" id="optin_Newsletter" name="newsletter" checked> Yes, send me the HGTV newsletter</label>
+        <label><input type="checkbox" id="optin_Partners" name="partners"> Send me offers from carefully selected partners</label>`;
+
+function wayinForm({ flow = 'new', result = 'thanks', captcha = 'none', drop = '', reject = '', consent = '' }) {
+    return `<!DOCTYPE html>
+<html>
+<head><title>Wayin</title></head>
+<body>
+<div id="xForm"></div>
+<script>
+    const screens = ${JSON.stringify(screens)};
+    const flow = ${JSON.stringify(flow)};
+    const result = ${JSON.stringify(result)};
+    const captcha = ${JSON.stringify(captcha)};
+    const drop = ${JSON.stringify(drop)};
+    const reject = ${JSON.stringify(reject)};
+    const consent = ${JSON.stringify(consent)};
+    const container = document.getElementById('xForm');
+    const entry = {};
+
+    function collect() {
+        container.querySelectorAll('input, select').forEach(field => {
+            if (field.type === 'radio' && !field.checked) return;
+            entry[field.name] = field.type === 'checkbox' ? field.checked : field.value;
+        });
+    }
+
+    async function post(path, body) {
+        console.log('POST ' + path);
+        const response = await fetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    }
+
+    function show(name) {
+        container.innerHTML = screens[name];
+        container.dataset.screen = name;
+
+        const dropped = drop && document.getElementById(drop);
+        if (dropped) dropped.remove();
+
+        const rejected = reject && document.getElementById(reject);
+        if (rejected) {
+            rejected.addEventListener('input', () => {
+                if (!rejected.nextElementSibling || !rejected.nextElementSibling.matches('.xFieldError')) {
+                    rejected.insertAdjacentHTML('afterend', '<span class="xFieldError">Please enter a valid value.</span>');
+                }
+            });
+        }
+
+        const checkUser = container.querySelector('#xCheckUser');
+        if (checkUser) {
+            checkUser.addEventListener('click', async () => {
+                collect();
+                const user = await post('/wayin/api/check-user?flow=' + flow, { email: entry.email });
+                show(user.returningUser ? 'trivia' : 'registration');
+            });
+        }
+
+        const next = container.querySelector('.xActionNext');
+        if (next) {
+            next.addEventListener('click', () => {
+                collect();
+                if (name === 'registration') show('trivia');
+                else show(flow === 'returning' ? 'submit' : 'address');
+            });
+        }
+
+        const submit = container.querySelector('.xSubmit');
+        if (submit && consent) {
+            submit.insertAdjacentHTML('beforebegin', ${JSON.stringify(consentBoxes)});
+        }
+
+        if (submit && captcha !== 'none') {
+            submit.insertAdjacentHTML('beforebegin', ${JSON.stringify(captchaWidget)});
+            if (captcha === 'solve') {
+                setTimeout(() => {
+                    document.getElementById('g-recaptcha-response').value = 'solved-token';
+                }, 1000);
+            }
+        }
+
+        if (submit) {
+            submit.addEventListener('click', async () => {
+                collect();
+                const response = await post('/wayin/api/submit?result=' + result, entry);
+                show(response.screen);
+            });
+        }
+    }
+
+    show(flow === 'closed' ? 'closed' : 'email');
+</script>
+</body>
+</html>`;
+}
+
+function landingPage({ frame = 'eager', formUrl }) {
+    let iframe = '';
+
+    if (frame === 'eager') {
+        iframe = `<iframe id="ngxFrame4242" src="${formUrl}" data-src="${formUrl}" width="600" height="800"></iframe>`;
+    } else if (frame === 'lazy') {
+        // Lazy-loaded embed that never gets a src, forcing the data-src fallback
+        iframe = `<iframe id="ngxFrame4242" data-src="${formUrl}" width="600" height="800"></iframe>`;
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head><title>Dream Home Sweepstakes</title></head>
+<body>
+<h1>Win a Dream Home!</h1>
+${iframe}
+</body>
+</html>`;
+}
+
+/**
+ * Sweepstakes on the /sweepstakes listing
+ */
+const listing = [
+    { slug: 'summer-grilling', title: 'Summer Grilling Sweepstakes', ends: 'Ends 12/31/2099' },
+    { slug: 'holiday-baking', title: 'Holiday Baking Giveaway', ends: 'Enter by December 1, 2099' },
+    { slug: 'spring-kitchen', title: 'Spring Kitchen Makeover', ends: 'Ended 01/15/2020' },
+    { slug: 'no-form', title: 'Cooking Class Contest', ends: '' }
+];
+
+function rulesPage(slug) {
+    const { title, ends } = listing.find(sweepstakes => sweepstakes.slug === slug) || { title: 'Sweepstakes', ends: '' };
+    const year = (/\d{4}/.exec(ends) || ['2099'])[0];
+
+    return `<!DOCTYPE html>
+<html>
+<head><title>${title} Official Rules</title></head>
+<body>
+<h1>${title} Official Rules</h1>
+<p>NO PURCHASE NECESSARY.</p>
+<p>2. SWEEPSTAKES PERIOD: The ${title} (the &quot;Sweepstakes&quot;) begins at 9:00 a.m. Eastern Time
+(&quot;ET&quot;) on January 1, ${year} and ends at 5:00 p.m. ET on December 31, ${year}.</p>
+<p>3. HOW TO ENTER: Limit two (2) entries per person and per email address per day.</p>
+</body>
+</html>`;
+}
+
+function listingPage() {
+    const cards = listing.map(({ slug, title, ends }) => `
+    <article class="sweepstakes-card">
+        <h3><a href="/sweepstakes/${slug}">${title}</a></h3>
+        <p>${ends}</p>
+        <a href="/sweepstakes/${slug}/official-rules">Official Rules</a>
+    </article>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head><title>Sweepstakes</title></head>
+<body>
+<h1>Sweepstakes</h1>
+${cards}
+</body>
+</html>`;
+}
+
+/**
+ * Submit endpoint responses per result: [HTTP status, JSON body]
+ */
+const submitResponses = {
+    thanks: [200, { success: true, screen: 'thanks' }],
+    already: [200, { success: false, errorCode: 'ALREADY_ENTERED', screen: 'already' }],
+    invalid: [400, { success: false, errors: [{ code: 'INVALID_ZIP', message: 'Please enter a valid ZIP code.' }], screen: 'invalid' }],
+    captcha: [403, { success: false, errorCode: 'RECAPTCHA_REQUIRED', screen: 'captcha' }],
+    error: [500, { screen: 'error' }],
+    mismatch: [200, { success: false, errorCode: 'DUPLICATE_ENTRY', screen: 'thanks' }]
+};
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body ? JSON.parse(body) : {}));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Start the fixture server on a random local port
+ * @returns {Promise<Object>} - { url(path), requests, submissions, close() }
+ */
+export async function startWayinFixtureServer() {
+    const requests = [];
+    const submissions = [];
+
+    const server = createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const params = Object.fromEntries(url.searchParams);
+        requests.push({ method: req.method, path: url.pathname, params });
+
+        const send = (status, type, body) => {
+            res.writeHead(status, { 'Content-Type': type });
+            res.end(body);
+        };
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/landing') {
+                const formParams = new URLSearchParams(url.searchParams);
+                formParams.delete('frame');
+                const formUrl = `http://${req.headers.host}/wayin/form?${formParams}`;
+                return send(200, 'text/html', landingPage({ frame: params.frame, formUrl }));
+            }
+
+            if (req.method === 'GET' && url.pathname === '/sweepstakes') {
+                return send(200, 'text/html', listingPage());
+            }
+
+            if (req.method === 'GET' && /^\/sweepstakes\/[^/]+\/official-rules$/.test(url.pathname)) {
+                return send(200, 'text/html', rulesPage(url.pathname.split('/')[2]));
+            }
+
+            if (req.method === 'GET' && url.pathname.startsWith('/sweepstakes/')) {
+                const slug = url.pathname.split('/')[2];
+                const formUrl = `http://${req.headers.host}/wayin/form?flow=returning`;
+                return send(200, 'text/html', landingPage({ frame: slug === 'no-form' ? 'none' : 'eager', formUrl }));
+            }
+
+            if (req.method === 'GET' && url.pathname === '/wayin/form') {
+                return send(200, 'text/html', wayinForm(params));
+            }
+
+            if (req.method === 'POST' && url.pathname === '/wayin/api/check-user') {
+                await readBody(req);
+                return send(200, 'application/json', JSON.stringify({
+                    returningUser: params.flow === 'returning'
+                }));
+            }
+
+            if (req.method === 'POST' && url.pathname === '/wayin/api/submit') {
+                const entry = await readBody(req);
+                submissions.push(entry);
+                const [status, body] = submitResponses[params.result || 'thanks'];
+                return send(status, 'application/json', JSON.stringify(body));
+            }
+
+            send(404, 'text/plain', 'Not found');
+        } catch (error) {
+            send(500, 'text/plain', error.message);
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: (path) => `http://127.0.0.1:${port}${path}`,
+        requests,
+        submissions,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
@@ -0,0 +1,91 @@
+import './setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'fs';
+import { config } from '../src/config.js';
+import { registerChannel } from '../src/notifier.js';
+import { diffFormSchema, checkFormSchema, acceptFormSchema, SCHEMA_CHANGE } from '../src/form-schema.js';
+
+const field = (key, overrides = {}) => ({
+    key, id: key, name: key, type: 'text', required: false, label: key, options: null, ...overrides
+});
+
+const state = (options) => field('address_State', { type: 'select', required: true, options });
+const trivia = (options) => field('trivia', { id: '', type: 'radio', options });
+
+describe('diffFormSchema', () => {
+    const baseline = {
+        address: [field('address_City', { required: true }), field('address_AddressLine2'), state(['', 'CA', 'NC'])]
+    };
+
+    it('finds no changes in the same form', () => {
+        assert.deepEqual(diffFormSchema(baseline, structuredClone(baseline)), []);
+    });
+
+    it('reports new, removed, newly required fields and changed options', () => {
+        const current = {
+            address: [
+                field('address_City', { required: true }),
+                field('address_AddressLine2', { required: true }),
+                state(['', 'CA', 'NC', 'NY']),
+                field('address_County', { required: true }),
+                field('address_Nickname')
+            ]
+        };
+
+        const changes = diffFormSchema({ address: [...baseline.address, field('phone_Phone')] }, current);
+
+        assert.deepEqual(changes.map(c => [c.kind, c.field, c.alert]), [
+            [SCHEMA_CHANGE.NOW_REQUIRED, 'address_AddressLine2', true],
+            [SCHEMA_CHANGE.OPTIONS_CHANGED, 'address_State', true],
+            [SCHEMA_CHANGE.ADDED, 'address_County', true],
+            [SCHEMA_CHANGE.ADDED, 'address_Nickname', false],
+            [SCHEMA_CHANGE.REMOVED, 'phone_Phone', true]
+        ]);
+        assert.deepEqual(changes[1].details, { added: ['NY'], removed: [] });
+    });
+
+    it('ignores steps not seen on both sides and trivia answer changes', () => {
+        const changes = diffFormSchema(
+            { trivia: [trivia(['Kitchen', 'Sunroom'])] },
+            { trivia: [trivia(['Red', 'Blue'])], registration: [field('name_Firstname')] }
+        );
+
+        assert.deepEqual(changes, []);
+    });
+});
+
+describe('checkFormSchema', () => {
+    const definition = { id: 'schema-test', name: 'Schema Test' };
+    const notifications = [];
+    registerChannel('test', async (notification) => { notifications.push(notification); });
+
+    beforeEach(() => {
+        rmSync(config.paths.formSchemas, { recursive: true, force: true });
+        notifications.length = 0;
+    });
+
+    it('takes the first snapshot as the baseline', async () => {
+        assert.deepEqual(await checkFormSchema(definition, { address: [state(['', 'NC'])] }), []);
+        assert.deepEqual(await checkFormSchema(definition, { address: [state(['', 'NC'])] }), []);
+        assert.equal(notifications.length, 0);
+    });
+
+    it('notifies about drift once, until the new form is accepted', async () => {
+        await checkFormSchema(definition, { address: [state(['', 'NC'])] });
+
+        const changed = { address: [state(['', 'NC', 'SC'])] };
+        assert.equal((await checkFormSchema(definition, changed)).length, 1);
+        assert.equal((await checkFormSchema(definition, changed)).length, 1);
+        assert.equal(notifications.length, 1);
+        assert.equal(notifications[0].event, 'form-changed');
+        assert.match(notifications[0].message, /options of address_State/);
+
+        assert.equal(acceptFormSchema(definition.id), true);
+        assert.deepEqual(await checkFormSchema(definition, changed), []);
+    });
+
+    it('has nothing to accept before the first run', () => {
+        assert.equal(acceptFormSchema('never-run'), false);
+    });
+});
@@ -0,0 +1,82 @@
+import './setup.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'fs';
+import { config } from '../src/config.js';
+import { appendSubmission } from '../src/history-store.js';
+import { computeStats, toCsv, loadHistory } from '../src/history-commands.js';
+
+// 9:00 AM ET on consecutive days starting Jan 1 2025
+const at = (day) => new Date(Date.UTC(2025, 0, day, 14)).toISOString();
+const entered = (day) => ({ site: 'hgtv', success: true, status: 'confirmed', timestamp: at(day) });
+const failed = (day, status) => ({ site: 'hgtv', success: false, status, timestamp: at(day) });
+
+describe('computeStats', () => {
+    const now = new Date(at(10));
+
+    it('counts streaks, missed days and success rate', () => {
+        const records = [
+            entered(1), entered(2), entered(3), entered(4),
+            failed(5, 'timeout'),
+            failed(6, 'timeout'), failed(6, 'timeout'),
+            // day 7 never ran
+            entered(8), entered(9), entered(10)
+        ];
+
+        const stats = computeStats(records, now);
+
+        assert.equal(stats.attempts, 10);
+        assert.equal(stats.entries, 7);
+        assert.equal(stats.currentStreak, 3);
+        assert.equal(stats.longestStreak, 4);
+        assert.equal(stats.daysMissed, 3);
+        assert.deepEqual(stats.failureReasons, [{ reason: 'timeout', count: 3 }]);
+        assert.equal(stats.lastEntry.timestamp, at(10));
+    });
+
+    it("keeps the streak going before today's entry has happened", () => {
+        const stats = computeStats([entered(8), entered(9)], now);
+        assert.equal(stats.currentStreak, 2);
+        assert.equal(stats.daysMissed, 0);
+    });
+
+    it('treats legacy records by their success flag', () => {
+        const stats = computeStats([{ site: 'hgtv', success: true, timestamp: at(10) }], now);
+        assert.equal(stats.entries, 1);
+    });
+});
+
+describe('toCsv', () => {
+    it('quotes values containing commas and quotes', () => {
+        const csv = toCsv([{
+            ...failed(1, 'validation-error'),
+            evidence: { source: 'wayin-frame', match: 'Please enter a "valid", ZIP' }
+        }]);
+
+        assert.equal(csv.split('\n')[1],
+            '2025-01-01T14:00:00.000Z,2025-01-01,hgtv,false,validation-error,,wayin-frame,"Please enter a ""valid"", ZIP"');
+    });
+});
+
+describe('loadHistory', () => {
+    before(async () => {
+        rmSync(config.paths.data, { recursive: true, force: true });
+
+        await appendSubmission(entered(1));
+        await appendSubmission({ ...entered(2), site: 'foodnetwork' });
+        await appendSubmission({ ...entered(3), site: 'foodnetwork-summer-grilling' });
+        await appendSubmission({ ...entered(4), site: 'foodnetworkish' });
+    });
+
+    it('includes the sweepstakes discovered on a listing', async () => {
+        const records = await loadHistory({ site: 'foodnetwork' });
+        assert.deepEqual(records.map(r => r.site), ['foodnetwork', 'foodnetwork-summer-grilling']);
+    });
+
+    it('filters by ET day and refuses a malformed --since', async () => {
+        assert.equal((await loadHistory({ since: '2025-01-03' })).length, 2);
+        for (const since of ['2025-1-3', '2026-13-01']) {
+            await assert.rejects(loadHistory({ since }), /--since must be a date written YYYY-MM-DD/);
+        }
+    });
+});
@@ -0,0 +1,138 @@
+import './setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync, appendFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config.js';
+import { readSubmissions, appendSubmission } from '../src/history-store.js';
+import { checkRateLimit } from '../src/rate-limit.js';
+
+const record = (site, overrides = {}) => ({
+    site,
+    success: true,
+    status: 'confirmed',
+    timestamp: new Date().toISOString(),
+    ...overrides
+});
+
+describe('history store', () => {
+    beforeEach(() => {
+        rmSync(config.paths.data, { recursive: true, force: true });
+        config.history.archiveAfterDays = 0;
+    });
+
+    it('creates the data directory and keeps every record', async () => {
+        for (let i = 0; i < 150; i++) {
+            await appendSubmission(record('hgtv', { attempt: i }));
+        }
+
+        const records = await readSubmissions();
+        assert.equal(records.length, 150);
+        assert.equal(records[149].attempt, 149);
+        assert.equal(existsSync(config.paths.submissionsLock), false);
+    });
+
+    it('does not lose records when two processes append at once', async () => {
+        const storeUrl = new URL('../src/history-store.js', import.meta.url).href;
+        // The children inherit this process' test environment (DATA_DIR etc.)
+        const script = `
+            const { appendSubmission } = await import(${JSON.stringify(storeUrl)});
+            for (let i = 0; i < 20; i++) {
+                await appendSubmission({ site: process.argv[1], timestamp: new Date().toISOString() });
+            }`;
+
+        const run = (site) => new Promise((resolve, reject) => {
+            const child = spawn(process.execPath, ['--input-type=module', '-e', script, site], {
+                env: { ...process.env },
+                cwd: fileURLToPath(new URL('..', import.meta.url)),
+                stdio: 'inherit'
+            });
+            child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`exit ${code}`))));
+        });
+
+        await Promise.all([run('a'), run('b')]);
+
+        const records = await readSubmissions();
+        assert.equal(records.filter(r => r.site === 'a').length, 20);
+        assert.equal(records.filter(r => r.site === 'b').length, 20);
+    });
+
+    it('quarantines corrupted lines instead of failing', async () => {
+        await appendSubmission(record('hgtv'));
+        appendFileSync(config.paths.submissions, '{"site":"hgtv","succ');
+
+        const records = await readSubmissions();
+        assert.equal(records.length, 1);
+
+        const corrupt = readdirSync(config.paths.data).filter(name => name.includes('.corrupt-'));
+        assert.equal(corrupt.length, 1);
+        assert.match(readFileSync(join(config.paths.data, corrupt[0]), 'utf8'), /"succ/);
+
+        // The repaired file takes new appends normally
+        await appendSubmission(record('foodnetwork'));
+        assert.equal((await readSubmissions()).length, 2);
+    });
+
+    it('still rate limits after recovering from corruption', async () => {
+        await appendSubmission(record('hgtv'));
+        appendFileSync(config.paths.submissions, 'garbage\n');
+
+        assert.equal(await checkRateLimit({ id: 'hgtv' }), false);
+        assert.equal(await checkRateLimit({ id: 'foodnetwork' }), true);
+    });
+
+    it('allows as many entries a day as the daily limit', async () => {
+        await appendSubmission(record('hgtv'));
+        await appendSubmission(record('hgtv', { success: false, status: 'timeout' }));
+
+        assert.equal(await checkRateLimit({ id: 'hgtv', period: { dailyLimit: 2 } }), true);
+
+        await appendSubmission(record('hgtv'));
+        assert.equal(await checkRateLimit({ id: 'hgtv', period: { dailyLimit: 2 } }), false);
+    });
+
+    it('migrates the legacy submissions.json', async () => {
+        mkdirSync(config.paths.data, { recursive: true });
+        writeFileSync(config.paths.legacySubmissions, JSON.stringify([
+            { site: 'hgtv', success: true, error: null, timestamp: '2025-01-06T14:00:00.000Z' },
+            { site: 'foodnetwork', success: false, error: 'See logs for details', timestamp: '2025-01-06T14:30:00.000Z' }
+        ], null, 2));
+
+        const records = await readSubmissions();
+        assert.deepEqual(records.map(r => r.site), ['hgtv', 'foodnetwork']);
+        assert.equal(existsSync(config.paths.legacySubmissions), false);
+        assert.equal(existsSync(`${config.paths.legacySubmissions}.migrated`), true);
+    });
+
+    it('salvages whole records from a truncated legacy file', async () => {
+        mkdirSync(config.paths.data, { recursive: true });
+        writeFileSync(config.paths.legacySubmissions, [
+            '[',
+            '  { "site": "hgtv", "success": true, "timestamp": "2025-01-06T14:00:00.000Z" },',
+            '  { "site": "hgtv", "success": true, "timestamp": "2025-01-07T14:00:00.000Z" },',
+            '  { "site": "hgtv", "succ'
+        ].join('\n'));
+
+        const records = await readSubmissions();
+        assert.equal(records.length, 2);
+    });
+
+    it('refuses entry when the history cannot be read', async () => {
+        mkdirSync(config.paths.submissions, { recursive: true }); // A directory can't be read as a file
+
+        assert.equal(await checkRateLimit({ id: 'hgtv' }), false);
+    });
+
+    it('archives old records when configured', async () => {
+        config.history.archiveAfterDays = 30;
+
+        await appendSubmission(record('hgtv', { timestamp: '2024-03-01T14:00:00.000Z' }));
+        await appendSubmission(record('hgtv'));
+
+        assert.equal((await readSubmissions()).length, 1);
+        assert.equal((await readSubmissions({ includeArchive: true })).length, 2);
+        assert.ok(existsSync(join(config.paths.archive, 'submissions-2024.jsonl')));
+    });
+});
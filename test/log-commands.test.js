@@ -0,0 +1,77 @@
+import './setup.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import winston from 'winston';
+import { logger, withLogContext, setLogContext } from '../src/logger.js';
+import { findRunLines } from '../src/log-commands.js';
+
+describe('log context', () => {
+    const lines = [];
+
+    before(() => {
+        logger.add(new winston.transports.Stream({
+            stream: new Writable({
+                objectMode: true,
+                write(info, encoding, callback) {
+                    lines.push(info);
+                    callback();
+                }
+            })
+        }));
+    });
+
+    it('tags every line of a run, across awaits, and keeps overlapping runs apart', async () => {
+        const run = (site, runId) => withLogContext({ sweepstakes: site }, async () => {
+            setLogContext({ runId });
+            await withLogContext({ step: 'email' }, async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                logger.error(`${site} email failed`);
+            });
+            logger.error(`${site} done`);
+        });
+
+        await Promise.all([run('hgtv', 'run-a'), run('foodnetwork', 'run-b')]);
+        logger.error('outside');
+
+        const byMessage = Object.fromEntries(lines.map(info => [info.message, info]));
+        assert.deepEqual(
+            ['hgtv email failed', 'foodnetwork email failed', 'hgtv done', 'outside']
+                .map(message => [byMessage[message].runId, byMessage[message].sweepstakes, byMessage[message].step]),
+            [['run-a', 'hgtv', 'email'], ['run-b', 'foodnetwork', 'email'], ['run-a', 'hgtv', undefined], [undefined, undefined, undefined]]
+        );
+    });
+});
+
+describe('findRunLines', () => {
+    it('finds a run in text and JSON lines, with the stack traces that follow', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'logs-'));
+        const older = join(dir, 'combined1.log');
+        const newer = join(dir, 'combined.log');
+
+        writeFileSync(older, [
+            '2026-10-19 09:00:01 [info] [HGTV]: Starting',
+            '2026-10-19 09:00:02 [info] [run-a landing]: Loading page',
+            '2026-10-19 09:00:03 [error] [run-a email]: Error: boom',
+            '    at enterEmail (wayin-entry.js:1:1)',
+            '2026-10-19 09:00:03 [info] [run-ab]: Another run',
+            ''
+        ].join('\n'));
+        writeFileSync(newer, [
+            JSON.stringify({ level: 'info', message: 'Submitted', runId: 'run-a', step: 'submit' }),
+            JSON.stringify({ level: 'info', message: 'Other', runId: 'run-b' }),
+            '2026-10-19 09:01:00 [info] [run-a]: Done',
+            ''
+        ].join('\n'));
+
+        const found = findRunLines('run-a', [older, newer]);
+
+        assert.equal(found.length, 5);
+        assert.match(found[2], /at enterEmail/);
+        assert.match(found[3], /"Submitted"/);
+        assert.match(found[4], /Done$/);
+    });
+});
@@ -0,0 +1,144 @@
+import { workDir } from './setup.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { notify, NOTIFY_EVENT } from '../src/notifier.js';
+import { appendSubmission } from '../src/history-store.js';
+import { countConsecutiveFailures } from '../src/utils.js';
+import { startSmtpServer } from './fixtures/smtp-server.js';
+
+const allEvents = Object.values(NOTIFY_EVENT);
+
+function resetNotifications() {
+    Object.assign(config.notifications, {
+        events: allEvents,
+        webhookUrl: null,
+        command: null,
+        smtp: { host: null, port: 587, secure: false, user: null, pass: null, from: 'bot@example.com', to: null }
+    });
+}
+
+describe('notify', () => {
+    let webhook;
+    let webhookUrl;
+    const received = [];
+
+    before(async () => {
+        webhook = createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push(JSON.parse(body));
+                res.statusCode = req.url === '/broken' ? 500 : 204;
+                res.end();
+            });
+        });
+        await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+        webhookUrl = `http://127.0.0.1:${webhook.address().port}`;
+    });
+
+    after(() => new Promise(resolve => webhook.close(resolve)));
+
+    beforeEach(() => {
+        resetNotifications();
+        received.length = 0;
+    });
+
+    it('posts the notification as JSON to the webhook', async () => {
+        config.notifications.webhookUrl = `${webhookUrl}/hook`;
+
+        const sent = await notify(NOTIFY_EVENT.FAILURE, {
+            site: 'hgtv',
+            title: 'HGTV entry failed',
+            message: 'timeout',
+            details: { status: 'timeout' }
+        });
+
+        assert.deepEqual(sent, ['webhook']);
+        assert.equal(received.length, 1);
+        assert.equal(received[0].event, 'failure');
+        assert.equal(received[0].site, 'hgtv');
+        assert.deepEqual(received[0].details, { status: 'timeout' });
+    });
+
+    it('skips events that are not enabled', async () => {
+        config.notifications.webhookUrl = `${webhookUrl}/hook`;
+        config.notifications.events = [NOTIFY_EVENT.FAILURE];
+
+        const sent = await notify(NOTIFY_EVENT.SUCCESS, { title: 'Entered', message: 'ok' });
+
+        assert.deepEqual(sent, []);
+        assert.equal(received.length, 0);
+    });
+
+    it('logs a failing channel instead of throwing', async () => {
+        config.notifications.webhookUrl = `${webhookUrl}/broken`;
+
+        const sent = await notify(NOTIFY_EVENT.FAILURE, { title: 'Failed', message: 'error' });
+
+        assert.deepEqual(sent, []);
+        assert.equal(received.length, 1);
+    });
+
+    it('emails the notification with the screenshot attached', async () => {
+        const smtp = await startSmtpServer();
+        const screenshot = join(workDir, 'hgtv-07-submitted.png');
+        writeFileSync(screenshot, 'not really a png');
+
+        try {
+            Object.assign(config.notifications.smtp, { host: '127.0.0.1', port: smtp.port, to: 'me@example.com' });
+
+            const sent = await notify(NOTIFY_EVENT.FAILURE, {
+                site: 'hgtv',
+                title: 'HGTV entry failed: validation-error',
+                message: 'Please enter a valid ZIP code',
+                screenshot
+            });
+
+            assert.deepEqual(sent, ['email']);
+            assert.equal(smtp.messages.length, 1);
+            assert.match(smtp.messages[0].to[0], /me@example\.com/);
+            assert.match(smtp.messages[0].data, /Subject: HGTV entry failed: validation-error/);
+            assert.match(smtp.messages[0].data, /filename=hgtv-07-submitted\.png/);
+        } finally {
+            await smtp.close();
+        }
+    });
+
+    it('runs the command hook with the notification on stdin and in the environment', async () => {
+        const output = join(workDir, 'hook-output.json');
+        config.notifications.command = `cat > "${output}" && echo "$NOTIFY_EVENT $NOTIFY_SITE" >> "${output}.env"`;
+
+        const sent = await notify(NOTIFY_EVENT.CAPTCHA, { site: 'foodnetwork', title: 'CAPTCHA', message: 'Solve it' });
+
+        assert.deepEqual(sent, ['command']);
+        assert.equal(JSON.parse(readFileSync(output, 'utf8')).title, 'CAPTCHA');
+        assert.equal(readFileSync(`${output}.env`, 'utf8').trim(), 'captcha foodnetwork');
+    });
+
+    it('reports a command that exits non-zero as not sent', async () => {
+        config.notifications.command = 'exit 3';
+
+        const sent = await notify(NOTIFY_EVENT.FAILURE, { title: 'Failed', message: 'error' });
+
+        assert.deepEqual(sent, []);
+    });
+});
+
+describe('countConsecutiveFailures', () => {
+    it('counts failed attempts since the last entry', async () => {
+        const record = (success, status) => ({ site: 'streak', success, status, timestamp: new Date().toISOString() });
+
+        assert.equal(await countConsecutiveFailures('streak'), 0);
+
+        await appendSubmission(record(false, 'timeout'));
+        await appendSubmission(record(true, 'confirmed'));
+        await appendSubmission(record(false, 'timeout'));
+        await appendSubmission(record(false, 'iframe-missing'));
+
+        assert.equal(await countConsecutiveFailures('streak'), 2);
+    });
+});
@@ -0,0 +1,87 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateRateLimit, rateLimitKey, entrantKey, RATE_LIMIT_WINDOW } from '../src/rate-limit.js';
+import { discoveredDefinition } from '../src/discovery.js';
+import { sweepstakes } from '../src/sweepstakes.js';
+
+const me = 'me@example.com';
+
+// 11:30 PM Pacific on Jan 1, 2:30 AM Eastern on Jan 2
+const lateNightEntry = { site: 'hgtv', status: 'confirmed', entrant: me, limitKey: 'hgtv', timestamp: '2026-01-02T07:30:00.000Z' };
+
+const rule = (overrides = {}) => ({
+    site: 'hgtv',
+    key: 'hgtv',
+    window: RATE_LIMIT_WINDOW.CALENDAR_DAY,
+    hours: 24,
+    timezone: 'America/New_York',
+    limit: 1,
+    ...overrides
+});
+
+describe('evaluateRateLimit', () => {
+    const now = new Date('2026-01-02T09:00:00Z');
+
+    it('counts calendar days in the rule timezone', () => {
+        assert.deepEqual(evaluateRateLimit([lateNightEntry], rule(), me, now), {
+            allowed: false,
+            count: 1,
+            nextAllowed: new Date('2026-01-03T05:00:00Z')
+        });
+        assert.equal(evaluateRateLimit([lateNightEntry], rule({ timezone: 'America/Los_Angeles' }), me, now).allowed, true);
+    });
+
+    it('counts a rolling window from the oldest entry in it', () => {
+        const rolling = rule({ window: RATE_LIMIT_WINDOW.ROLLING });
+
+        const blocked = evaluateRateLimit([lateNightEntry], rolling, me, new Date('2026-01-03T07:00:00Z'));
+        assert.equal(blocked.allowed, false);
+        assert.deepEqual(blocked.nextAllowed, new Date('2026-01-03T07:30:00Z'));
+
+        assert.equal(evaluateRateLimit([lateNightEntry], rolling, me, new Date('2026-01-03T08:00:00Z')).allowed, true);
+    });
+
+    it('allows entries up to the limit', () => {
+        assert.equal(evaluateRateLimit([lateNightEntry], rule({ limit: 2 }), me, now).allowed, true);
+    });
+
+    it('shares the limit within a group', () => {
+        const grouped = { ...lateNightEntry, limitKey: 'dream-home' };
+
+        assert.equal(evaluateRateLimit([grouped], rule({ site: 'diy', key: 'dream-home' }), me, now).allowed, false);
+        assert.equal(evaluateRateLimit([grouped], rule(), me, now).allowed, true);
+    });
+
+    it('counts only entries for the same entrant, and older records without one', () => {
+        const other = { ...lateNightEntry, entrant: 'someone@example.com' };
+        const legacy = { site: 'hgtv', success: true, timestamp: lateNightEntry.timestamp };
+
+        assert.equal(evaluateRateLimit([other], rule(), me, now).allowed, true);
+        assert.equal(evaluateRateLimit([legacy], rule(), me, now).allowed, false);
+    });
+
+    it('ignores failed attempts', () => {
+        const failed = { ...lateNightEntry, status: 'timeout', success: false };
+        assert.equal(evaluateRateLimit([failed], rule(), me, now).allowed, true);
+    });
+});
+
+describe('rate limit keys', () => {
+    it('normalizes the entrant email', () => {
+        assert.equal(entrantKey('  Me@Example.COM '), me);
+    });
+
+    it('uses the group if there is one', () => {
+        assert.equal(rateLimitKey({ id: 'hgtv', rateLimit: { group: 'dream-home' } }), 'dream-home');
+        assert.equal(rateLimitKey({ id: 'hgtv', rateLimit: { group: null } }), 'hgtv');
+    });
+
+    it('does not put discovered sweepstakes in the listing group', () => {
+        const parent = { ...sweepstakes.foodnetwork, rateLimit: { window: 'rolling', hours: 24, group: 'food' } };
+        const definition = discoveredDefinition(parent, { slug: 'summer-grilling', title: 'Summer Grilling', url: 'https://example.com/sweepstakes/summer-grilling' });
+
+        assert.equal(rateLimitKey(definition), 'foodnetwork-summer-grilling');
+        assert.equal(definition.rateLimit.window, 'rolling');
+    });
+});
@@ -0,0 +1,110 @@
+import './setup.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, readFileSync, readdirSync, rmSync, utimesSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { sweepstakes } from '../src/sweepstakes.js';
+import { createRunId, createRunArtifacts, pruneRuns } from '../src/run-artifacts.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const limits = { ...config.runs };
+
+/**
+ * Make a run bundle of the given size, last written days ago
+ */
+function makeRun(id, { daysAgo = 0, bytes = 10 } = {}) {
+    const dir = join(config.paths.runs, id);
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, 'manifest.json'), 'x'.repeat(bytes));
+
+    const time = new Date(Date.now() - daysAgo * DAY);
+    utimesSync(dir, time, time);
+}
+
+beforeEach(() => {
+    rmSync(config.paths.runs, { recursive: true, force: true });
+});
+
+afterEach(() => {
+    Object.assign(config.runs, limits);
+});
+
+describe('createRunId', () => {
+    it('starts with the UTC start time so IDs sort by time', () => {
+        const id = createRunId(sweepstakes.hgtv, new Date('2026-10-19T13:00:02.345Z'));
+        assert.match(id, /^2026-10-19T13-00-02Z-hgtv-[0-9a-f]{4}$/);
+    });
+});
+
+describe('createRunArtifacts', () => {
+    it('writes a manifest with the outcome and step timings', async () => {
+        const artifacts = createRunArtifacts(sweepstakes.hgtv, { dryRun: true });
+
+        await artifacts.step('email', async () => {});
+        await assert.rejects(artifacts.step('frame', async () => {
+            throw new Error('No Wayin form');
+        }), /No Wayin form/);
+
+        artifacts.finish({ success: false, status: 'iframe-missing', evidence: { source: 'error', match: 'No Wayin form' } });
+
+        const manifest = JSON.parse(readFileSync(join(artifacts.dir, 'manifest.json'), 'utf8'));
+        assert.equal(manifest.runId, artifacts.id);
+        assert.deepEqual(manifest.sweepstakes, { id: 'hgtv', name: sweepstakes.hgtv.name, url: sweepstakes.hgtv.url });
+        assert.equal(manifest.dryRun, true);
+        assert.equal(manifest.status, 'iframe-missing');
+        assert.deepEqual(manifest.steps.map(step => [step.name, step.error]), [['email', null], ['frame', 'No Wayin form']]);
+        assert.ok(manifest.steps.every(step => step.durationMs >= 0));
+        assert.ok(new Date(manifest.endedAt) >= new Date(manifest.startedAt));
+        assert.equal(manifest.console, null);
+    });
+
+    it('does not throw when the bundle or the runs directory is gone', () => {
+        const artifacts = createRunArtifacts(sweepstakes.hgtv);
+        const page = { on: (event, listener) => event === 'console' && listener({ type: () => 'log', text: () => 'hello' }) };
+        artifacts.watch(page);
+        rmSync(artifacts.dir, { recursive: true, force: true });
+
+        assert.equal(artifacts.finish({ success: true, status: 'confirmed' }).console, 'console.log');
+
+        // A file where the runs directory should be
+        rmSync(config.paths.runs, { recursive: true, force: true });
+        writeFileSync(config.paths.runs, '');
+        try {
+            assert.deepEqual(artifacts.prune(), []);
+        } finally {
+            rmSync(config.paths.runs);
+        }
+    });
+});
+
+describe('pruneRuns', () => {
+    it('removes bundles older than the retention period', () => {
+        config.runs.keepDays = 30;
+        makeRun('old', { daysAgo: 31 });
+        makeRun('recent', { daysAgo: 29 });
+
+        assert.deepEqual(pruneRuns(), ['old']);
+        assert.deepEqual(readdirSync(config.paths.runs), ['recent']);
+    });
+
+    it('removes the oldest bundles until the rest fit, keeping the current run', () => {
+        config.runs.keepDays = 0;
+        config.runs.maxMb = 1;
+        const half = 512 * 1024 + 1;
+        makeRun('current', { daysAgo: 3, bytes: half });
+        makeRun('oldest', { daysAgo: 2, bytes: half });
+        makeRun('newer', { daysAgo: 1, bytes: half });
+
+        assert.deepEqual(pruneRuns(new Date(), 'current'), ['oldest', 'newer']);
+        assert.ok(existsSync(join(config.paths.runs, 'current')));
+    });
+
+    it('keeps everything with both limits off', () => {
+        config.runs.keepDays = 0;
+        config.runs.maxMb = 0;
+        makeRun('ancient', { daysAgo: 400, bytes: 2 * 1024 * 1024 });
+
+        assert.deepEqual(pruneRuns(), []);
+    });
+});
@@ -0,0 +1,141 @@
+import './setup.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { appendSubmission } from '../src/history-store.js';
+import { calendarDays, collectRuns, buildReport, DAY_STATUS } from '../src/run-report.js';
+
+// 9:00 AM ET on a day in January 2025
+const at = (day) => new Date(Date.UTC(2025, 0, day, 14)).toISOString();
+
+describe('calendarDays', () => {
+    it('marks each day entered, failed, missed or still to come', () => {
+        const records = [
+            { site: 'hgtv', status: 'confirmed', success: true, timestamp: at(2) },
+            { site: 'hgtv', status: 'timeout', success: false, timestamp: at(3) },
+            { site: 'hgtv', status: 'already-entered', success: true, timestamp: at(3) },
+            { site: 'hgtv', status: 'timeout', success: false, timestamp: at(4) }
+        ];
+
+        const days = calendarDays(records, '2025-01-01', new Date(Date.UTC(2025, 0, 6, 12)));
+
+        assert.deepEqual(days.map(day => [day.day, day.status]), [
+            ['2025-01-01', DAY_STATUS.NONE],
+            ['2025-01-02', DAY_STATUS.ENTERED],
+            ['2025-01-03', DAY_STATUS.ENTERED],
+            ['2025-01-04', DAY_STATUS.FAILED],
+            ['2025-01-05', DAY_STATUS.MISSED],
+            ['2025-01-06', DAY_STATUS.PENDING]
+        ]);
+        assert.equal(days[2].attempts, 2);
+    });
+});
+
+describe('collectRuns', () => {
+    const manifest = {
+        runId: 'run-1',
+        sweepstakes: { id: 'hgtv', name: 'HGTV Dream Home' },
+        dryRun: false,
+        startedAt: at(2),
+        durationMs: 42000,
+        steps: [{ name: 'landing', startedAt: at(2), durationMs: 3000, error: null }],
+        screenshots: [{ name: '01-landing.png' }],
+        fields: null
+    };
+
+    it('uses the bundle for runs that still have one and the record for the rest', () => {
+        const runs = collectRuns([
+            { site: 'hgtv', status: 'confirmed', success: true, timestamp: at(2), runId: 'run-1' },
+            { site: 'hgtv', status: 'timeout', success: false, timestamp: at(1), screenshot: '/old/hgtv-error.png' }
+        ], [manifest]);
+
+        assert.equal(runs.length, 2);
+        assert.equal(runs[0].durationMs, 42000);
+        assert.deepEqual(runs[0].screenshots, [join(config.paths.runs, 'run-1', '01-landing.png')]);
+        assert.deepEqual(runs[1].steps, []);
+        assert.deepEqual(runs[1].screenshots, ['/old/hgtv-error.png']);
+    });
+
+    it('adds dry runs, which have no submission record', () => {
+        const runs = collectRuns([], [{ ...manifest, runId: 'dry', dryRun: true, status: 'dry-run' }]);
+
+        assert.equal(runs.length, 1);
+        assert.equal(runs[0].dryRun, true);
+    });
+});
+
+describe('buildReport', () => {
+    const now = new Date(Date.UTC(2025, 0, 3, 18));
+
+    before(async () => {
+        rmSync(config.paths.data, { recursive: true, force: true });
+        rmSync(config.paths.runs, { recursive: true, force: true });
+
+        const dir = join(config.paths.runs, 'run-2');
+        mkdirSync(dir, { recursive: true });
+        writeFileSync(join(dir, '07-submit-error.png'), 'not really a png');
+        writeFileSync(join(dir, 'manifest.json'), JSON.stringify({
+            runId: 'run-2',
+            sweepstakes: { id: 'hgtv', name: 'HGTV Dream Home' },
+            dryRun: false,
+            startedAt: at(3),
+            durationMs: 61000,
+            steps: [{ name: 'submit', startedAt: at(3), durationMs: 5000, error: 'Node is detached' }],
+            screenshots: [{ name: '07-submit-error.png' }],
+            fields: { fields: [{ step: 'address', field: 'zipCode', status: 'rejected', message: 'Please enter a valid ZIP <code>' }], validation: [] }
+        }));
+
+        await appendSubmission({ site: 'hgtv', success: true, status: 'confirmed', timestamp: at(2) });
+        await appendSubmission({
+            site: 'hgtv',
+            success: false,
+            status: 'error',
+            evidence: { source: 'error', match: 'Node is detached' },
+            timestamp: at(3),
+            runId: 'run-2'
+        });
+    });
+
+    it('shows the calendar, failure reason, steps, fields and inlined screenshots', async () => {
+        const html = await buildReport({ since: '2025-01-01' }, now);
+
+        assert.match(html, /class="day entered" title="2025-01-02: entered \(1 attempt\(s\)\)"/);
+        assert.match(html, /class="day failed" title="2025-01-03: failed \(1 attempt\(s\)\)"/);
+        assert.match(html, /❌ error: Node is detached/);
+        assert.match(html, /<td>submit<\/td>/);
+        assert.match(html, /Please enter a valid ZIP &lt;code&gt;/);
+        assert.ok(html.includes(`data:image/png;base64,${Buffer.from('not really a png').toString('base64')}`));
+        assert.match(html, /Runs \(2\)/);
+    });
+
+    it('refuses a --since that is not a YYYY-MM-DD date', async () => {
+        for (const since of ['2025-1-5', '2025-02-30', '2026-13-01', '2026-01-32', 'yesterday']) {
+            await assert.rejects(buildReport({ since }, now), /--since must be a date written YYYY-MM-DD/);
+        }
+    });
+
+    it('filters by sweepstakes, counting those discovered on a listing', async () => {
+        const dir = join(config.paths.runs, 'run-3');
+        mkdirSync(dir, { recursive: true });
+        writeFileSync(join(dir, 'manifest.json'), JSON.stringify({
+            runId: 'run-3',
+            sweepstakes: { id: 'foodnetwork-holiday', name: 'Food Network: Holiday Baking' },
+            dryRun: false,
+            startedAt: at(3),
+            durationMs: 30000,
+            steps: [{ name: 'landing', startedAt: at(3), durationMs: 2000, error: null }],
+            screenshots: [],
+            fields: null
+        }));
+        await appendSubmission({ site: 'foodnetwork-holiday', success: true, status: 'confirmed', timestamp: at(3), runId: 'run-3' });
+
+        const html = await buildReport({ site: 'foodnetwork', since: '2025-01-01' }, now);
+
+        assert.match(html, /Runs \(1\)/);
+        assert.match(html, /<h3>foodnetwork-holiday<\/h3>/);
+        assert.match(html, /<td>landing<\/td>/);
+        assert.doesNotMatch(html, /HGTV Dream Home/);
+    });
+});
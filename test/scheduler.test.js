@@ -0,0 +1,100 @@
+import './setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { rmSync } from 'fs';
+import { config } from '../src/config.js';
+import { sweepstakes } from '../src/sweepstakes.js';
+import { readSubmissions } from '../src/history-store.js';
+import { runScheduledEntry, runScheduledSweepstakes, startScheduler, pauseSweepstakes } from '../src/scheduler.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 10000) {
+    const start = Date.now();
+    while (!(await condition())) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await sleep(50);
+    }
+}
+
+const attempts = async (site) => (await readSubmissions()).filter(record => record.site === site).length;
+
+describe('scheduled retries', () => {
+    // Stands in for Chrome's debugging port: while held, connecting hangs
+    // (a run in progress); otherwise it fails at once, so every attempt
+    // ends in a retryable error without a browser
+    let server;
+    let held = false;
+    const waiting = [];
+
+    const listing = {
+        ...sweepstakes.foodnetwork,
+        id: 'listing',
+        name: 'Listing',
+        schedule: '0 0 1 1 *',
+        enabled: true,
+        discover: true
+    };
+    // A sweepstakes discovered on it, retried every 0.3 seconds
+    const discovered = (slug) => ({
+        ...sweepstakes.hgtv,
+        id: `listing-${slug}`,
+        name: `Listing: ${slug}`,
+        retry: { maxAttempts: 2, backoffMinutes: 0.005, backoffMultiplier: 1, latestTime: '23:59' }
+    });
+
+    before(async () => {
+        rmSync(config.paths.data, { recursive: true, force: true });
+
+        server = createServer((request, response) => {
+            const fail = () => response.writeHead(500).end();
+            held ? waiting.push(fail) : fail();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        config.browser.debuggingPort = server.address().port;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    it('waits for its own listing run to finish instead of dropping the retry', async () => {
+        const entry = discovered('busy');
+        assert.equal((await runScheduledEntry(entry, 1, listing)).status, 'error');
+
+        // The listing run is still busy when the retry comes up
+        held = true;
+        const listingRun = runScheduledSweepstakes(listing);
+        await sleep(1000);
+        assert.equal(await attempts(entry.id), 1);
+
+        held = false;
+        waiting.splice(0).forEach(fail => fail());
+        await listingRun;
+
+        await waitFor(async () => (await attempts(entry.id)) === 2);
+    });
+
+    it('drops retries while the sweepstakes is paused', async () => {
+        for (const definition of Object.values(sweepstakes)) {
+            definition.enabled = false;
+        }
+        sweepstakes.listing = listing;
+        config.scheduler.catchUp = false;
+
+        try {
+            startScheduler();
+            assert.equal(pauseSweepstakes('listing'), true);
+
+            const entry = discovered('paused');
+            assert.equal((await runScheduledEntry(entry, 1, listing)).status, 'error');
+            await sleep(1000);
+            assert.equal(await attempts(entry.id), 1);
+        } finally {
+            delete sweepstakes.listing;
+        }
+    });
+});
@@ -0,0 +1,37 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Test environment. Import this before anything from src/ so config.js
+ * sees a complete entrant and writes logs, screenshots and history to a
+ * throwaway directory instead of the real ones.
+ */
+const workDir = mkdtempSync(join(tmpdir(), 'hgtv-test-'));
+process.on('exit', () => rmSync(workDir, { recursive: true, force: true }));
+
+const testEnv = {
+    FIRST_NAME: 'Test',
+    LAST_NAME: 'Entrant',
+    EMAIL: 'test.entrant@example.com',
+    ADDRESS_LINE1: '123 Main St',
+    CITY: 'Charlotte',
+    STATE: 'NC',
+    ZIP_CODE: '28202',
+    PHONE: '980-555-1234',
+    DOB_MONTH: '01',
+    DOB_DAY: '15',
+    DOB_YEAR: '1990',
+    HEADLESS: 'true',
+    LOG_LEVEL: 'error',
+    DATA_DIR: join(workDir, 'data'),
+    LOGS_DIR: join(workDir, 'logs'),
+    SCREENSHOTS_DIR: join(workDir, 'screenshots'),
+    RUNS_DIR: join(workDir, 'runs')
+};
+
+for (const [key, value] of Object.entries(testEnv)) {
+    process.env[key] = value;
+}
+
+export { workDir };
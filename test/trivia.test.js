@@ -0,0 +1,61 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { config } from '../src/config.js';
+import { normalizeQuestion, loadAnswerBank, findAnswer, TRIVIA_STATUS } from '../src/trivia.js';
+
+const options = [
+    { value: 'kitchen', label: 'Kitchen' },
+    { value: 'sunroom', label: 'The Sunroom' }
+];
+
+describe('normalizeQuestion', () => {
+    it('ignores case, punctuation and spacing', () => {
+        assert.equal(
+            normalizeQuestion('  Which room gets the MOST natural light?\n'),
+            normalizeQuestion('which room gets the most natural light')
+        );
+    });
+});
+
+describe('findAnswer', () => {
+    const bank = new Map([[normalizeQuestion('Which room gets the most natural light?'), 'the sunroom!']]);
+
+    it('picks the option matching the banked answer by label', () => {
+        const result = findAnswer(bank, 'Which room gets the most natural light?', options);
+        assert.equal(result.status, TRIVIA_STATUS.ANSWERED);
+        assert.equal(result.option.value, 'sunroom');
+    });
+
+    it('matches by option value too', () => {
+        const result = findAnswer(new Map([['q', 'kitchen']]), 'Q?', options);
+        assert.equal(result.option.label, 'Kitchen');
+    });
+
+    it('reports unknown questions and answers that are not among the options', () => {
+        assert.equal(findAnswer(bank, 'What color is the front door?', options).status, TRIVIA_STATUS.UNKNOWN);
+        assert.equal(findAnswer(new Map([['q', 'Garage']]), 'Q', options).status, TRIVIA_STATUS.NO_MATCH);
+    });
+});
+
+describe('loadAnswerBank', () => {
+    afterEach(() => {
+        rmSync(config.paths.triviaAnswers, { force: true });
+    });
+
+    it('normalizes questions as written in the file', () => {
+        mkdirSync(config.paths.data, { recursive: true });
+        writeFileSync(config.paths.triviaAnswers, JSON.stringify({ 'Which room gets the most natural light?': 'Sunroom' }));
+
+        assert.equal(loadAnswerBank().get('which room gets the most natural light'), 'Sunroom');
+    });
+
+    it('is empty without a file or with a broken one', () => {
+        assert.equal(loadAnswerBank().size, 0);
+
+        mkdirSync(config.paths.data, { recursive: true });
+        writeFileSync(config.paths.triviaAnswers, '{ not json');
+        assert.equal(loadAnswerBank().size, 0);
+    });
+});
@@ -0,0 +1,439 @@
+import './setup.js';
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'fs';
+import puppeteer from 'puppeteer';
+import { config } from '../src/config.js';
+import { sweepstakes } from '../src/sweepstakes.js';
+import { submitWayinEntry, runWayinEntry } from '../src/wayin-entry.js';
+import { runBatch, acquireBrowser, releaseBrowser } from '../src/browser.js';
+import { runScheduledEntry } from '../src/scheduler.js';
+import { readSubmissions } from '../src/history-store.js';
+import { discoverSweepstakes, resolveSweepstakes } from '../src/discovery.js';
+import { startWayinFixtureServer } from './fixtures/wayin-server.js';
+
+/**
+ * The suite drives a real Chromium. Locally it is skipped where one can't be
+ * launched; on CI (CI set) that fails the suite, so the entry flow can't
+ * silently go untested.
+ * @returns {Promise<Error|null>} - Why Chromium could not be launched
+ */
+async function browserLaunchError() {
+    try {
+        const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+        await browser.close();
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+const launchError = await browserLaunchError();
+
+async function waitFor(condition, timeout = 60000) {
+    const start = Date.now();
+    while (!(await condition())) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+}
+
+describe('Wayin entry flow', { skip: launchError && !process.env.CI && 'Chromium could not be launched' }, () => {
+    let server;
+
+    // Point a real definition at the fixture server
+    const fixtureSweepstakes = (path) => ({
+        ...sweepstakes.hgtv,
+        id: 'fixture',
+        name: 'Fixture',
+        screenshotPrefix: 'fixture',
+        url: server.url(path),
+        frameUrlPattern: '/wayin/form',
+        apiUrlPattern: '/wayin/api/',
+        iframeTimeout: 3000
+    });
+
+    before(async () => {
+        if (launchError) {
+            throw new Error(`Chromium could not be launched, and CI needs the entry flow tests: ${launchError.message}`);
+        }
+        server = await startWayinFixtureServer();
+    });
+
+    after(async () => {
+        await server?.close();
+    });
+
+    beforeEach(() => {
+        rmSync(config.paths.data, { recursive: true, force: true });
+        mkdirSync(config.paths.data, { recursive: true });
+        server.requests.length = 0;
+        server.submissions.length = 0;
+    });
+
+    it('registers a new user through the embedded iframe', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=new'));
+
+        assert.equal(success, true);
+        assert.equal(server.submissions.length, 1);
+        assert.deepEqual(server.submissions[0], {
+            email: 'test.entrant@example.com',
+            firstName: 'Test',
+            lastName: 'Entrant',
+            addressLine1: '123 Main St',
+            addressLine2: '',
+            city: 'Charlotte',
+            state: 'NC',
+            zipCode: '28202',
+            phone: '980-555-1234',
+            dobMonth: '01',
+            dobDay: '15',
+            dobYear: '1990'
+        });
+
+        const [record] = await readSubmissions();
+        assert.equal(record.site, 'fixture');
+        assert.equal(record.success, true);
+        assert.equal(record.status, 'confirmed');
+        assert.equal(record.evidence.source, 'network');
+        assert.deepEqual(record.evidence.fields, { accepted: true });
+        assert.deepEqual(record.network.map(r => [r.phase, r.status]), [['check-user', 200], ['submit', 200]]);
+        assert.deepEqual(record.network[0].fields, { returningUser: false });
+    });
+
+    it('skips registration and address for a returning user', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning'));
+
+        assert.equal(success, true);
+        assert.deepEqual(server.submissions, [{ email: 'test.entrant@example.com' }]);
+    });
+
+    it('navigates to the data-src when the iframe never loads', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?frame=lazy&flow=returning'));
+
+        assert.equal(success, true);
+        assert.equal(server.submissions.length, 1);
+
+        const formLoads = server.requests.filter(r => r.path === '/wayin/form');
+        assert.equal(formLoads.length, 1);
+    });
+
+    it('fails and dumps the page when there is no Wayin form at all', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?frame=none'));
+
+        assert.equal(success, false);
+        assert.equal(server.submissions.length, 0);
+
+        const [record] = await readSubmissions();
+        assert.equal(record.success, false);
+
+        const bundle = readdirSync(`${config.paths.runs}/${record.runId}`);
+        assert.ok(bundle.includes('page.html'));
+        assert.ok(bundle.includes('error.png'));
+    });
+
+    it('fails when the form shows the entry period has ended', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=closed'));
+
+        assert.equal(success, false);
+        assert.equal(server.submissions.length, 0);
+        assert.equal((await readSubmissions())[0].status, 'entry-closed');
+    });
+
+    it('counts "already entered" as entered for the day', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning&result=already'));
+
+        assert.equal(success, true);
+        assert.equal((await readSubmissions())[0].status, 'already-entered');
+    });
+
+    it('classifies inline validation errors', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning&result=invalid'));
+
+        assert.equal(success, false);
+        const [record] = await readSubmissions();
+        assert.equal(record.status, 'validation-error');
+        assert.equal(record.evidence.fields.errorMessage, 'Please enter a valid ZIP code.');
+    });
+
+    it('classifies a CAPTCHA wall after submit', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning&result=captcha'));
+
+        assert.equal(success, false);
+        assert.equal((await readSubmissions())[0].status, 'captcha-blocked');
+    });
+
+    it('keeps the screenshots, timings and console of each run in its own bundle', async () => {
+        assert.equal(await submitWayinEntry(fixtureSweepstakes('/landing?flow=new')), true);
+
+        const [record] = await readSubmissions();
+        const dir = `${config.paths.runs}/${record.runId}`;
+        const manifest = JSON.parse(readFileSync(`${dir}/manifest.json`, 'utf8'));
+
+        assert.equal(manifest.status, 'confirmed');
+        assert.deepEqual(manifest.steps.map(step => step.name),
+            ['browser', 'landing', 'frame', 'email', 'registration', 'trivia', 'address', 'consent', 'captcha', 'submit']);
+        assert.ok(manifest.screenshots.some(screenshot => screenshot.name === '01-landing.png'));
+        assert.ok(readdirSync(dir).includes('07-submitted.png'));
+        assert.match(readFileSync(`${dir}/console.log`, 'utf8'), /\[log\] POST \/wayin\/api\/submit/);
+        assert.deepEqual(manifest.dumps, []);
+    });
+
+    it('dumps the page and the Wayin frame when a run fails', async () => {
+        assert.equal(await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning&result=invalid')), false);
+
+        const [record] = await readSubmissions();
+        const dir = `${config.paths.runs}/${record.runId}`;
+
+        assert.deepEqual(JSON.parse(readFileSync(`${dir}/manifest.json`, 'utf8')).dumps, ['page.html', 'frame.html']);
+        assert.match(readFileSync(`${dir}/frame.html`, 'utf8'), /Please enter a valid ZIP code/);
+    });
+
+    it('saves a field report with the run', async () => {
+        assert.equal(await submitWayinEntry(fixtureSweepstakes('/landing?flow=new')), true);
+
+        const [record] = await readSubmissions();
+        const statuses = Object.fromEntries(record.fields.fields.map(f => [f.field, f.status]));
+        assert.equal(statuses.email, 'verified');
+        assert.equal(statuses.city, 'verified');
+        assert.equal(statuses.dobYear, 'verified');
+        assert.deepEqual(record.fields.validation, []);
+    });
+
+    it('ticks only the checkboxes we consented to', async () => {
+        assert.equal(await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning&consent=1')), true);
+
+        assert.deepEqual(server.submissions[0], {
+            email: 'test.entrant@example.com',
+            rules: true,
+            newsletter: false,
+            partners: false
+        });
+
+        const [record] = await readSubmissions();
+        assert.deepEqual(record.consent.map(box => [box.kind, box.checked, box.changed]), [
+            ['rules', true, true],
+            ['newsletter', false, true],
+            ['partner', false, false]
+        ]);
+    });
+
+    it('answers the trivia question from the answer bank', async () => {
+        writeFileSync(config.paths.triviaAnswers, JSON.stringify({ 'Which room gets the most natural light?': 'Sunroom' }));
+
+        assert.equal(await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning')), true);
+
+        assert.equal(server.submissions[0].trivia, 'sunroom');
+        const [record] = await readSubmissions();
+        assert.equal(record.trivia.status, 'answered');
+    });
+
+    it('saves unseen trivia questions with their options', async () => {
+        assert.equal(await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning')), true);
+
+        const unseen = JSON.parse(readFileSync(config.paths.triviaUnseen, 'utf8'));
+        assert.deepEqual(unseen['Which room gets the most natural light?'].options, ['Kitchen', 'Sunroom']);
+        assert.equal((await readSubmissions())[0].trivia.status, 'unknown');
+    });
+
+    it('snapshots each form screen as the baseline for drift detection', async () => {
+        rmSync(config.paths.formSchemas, { recursive: true, force: true });
+        assert.equal(await submitWayinEntry(fixtureSweepstakes('/landing?flow=new'), true), true);
+
+        const baseline = JSON.parse(readFileSync(`${config.paths.formSchemas}/fixture.baseline.json`, 'utf8'));
+        assert.deepEqual(Object.keys(baseline.steps), ['email', 'registration', 'trivia', 'address']);
+        assert.ok(baseline.steps.address.some(field => field.key === 'address_State' && field.options.includes('NC')));
+    });
+
+    it('does not submit when a required field is missing', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=new&drop=address_City'));
+
+        assert.equal(success, false);
+        assert.equal(server.submissions.length, 0);
+        const [record] = await readSubmissions();
+        assert.equal(record.status, 'validation-error');
+        assert.equal(record.evidence.source, 'field-report');
+        assert.equal(record.fields.fields.find(f => f.field === 'city').status, 'missing');
+    });
+
+    it('does not submit a new user when the address screen is missing', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=new&drop=address_AddressLine1'));
+
+        assert.equal(success, false);
+        assert.equal(server.submissions.length, 0);
+        const [record] = await readSubmissions();
+        assert.equal(record.status, 'validation-error');
+        const address = record.fields.fields.filter(f => f.step === 'address');
+        assert.deepEqual(address.map(f => f.field), ['addressLine1', 'city', 'state', 'zipCode', 'phone', 'dobMonth', 'dobDay', 'dobYear']);
+        assert.ok(address.every(f => f.status === 'missing'));
+    });
+
+    it('does not submit when the form rejects a required field', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=new&reject=address_ZipCode'));
+
+        assert.equal(success, false);
+        assert.equal(server.submissions.length, 0);
+        const [record] = await readSubmissions();
+        const zip = record.fields.fields.find(f => f.field === 'zipCode');
+        assert.equal(zip.status, 'rejected');
+        assert.equal(zip.message, 'Please enter a valid value.');
+    });
+
+    describe('CAPTCHA before submit', () => {
+        const { timeoutSeconds } = config.captcha;
+
+        before(() => {
+            config.captcha.timeoutSeconds = 3;
+        });
+
+        after(() => {
+            config.captcha.timeoutSeconds = timeoutSeconds;
+        });
+
+        it('continues as soon as the CAPTCHA is solved', async () => {
+            const start = Date.now();
+            const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning&captcha=solve'));
+
+            assert.equal(success, true);
+            assert.equal(server.submissions.length, 1);
+            assert.ok(Date.now() - start < 60000);
+        });
+
+        it('does not wait for a CAPTCHA in a dry run', async () => {
+            const result = await runWayinEntry(fixtureSweepstakes('/landing?flow=returning&captcha=unsolved'), true);
+
+            assert.equal(result.status, 'dry-run');
+            assert.equal(server.submissions.length, 0);
+            const manifest = JSON.parse(readFileSync(`${config.paths.runs}/${result.runId}/manifest.json`, 'utf8'));
+            assert.ok(!manifest.steps.some(step => step.name === 'captcha'));
+        });
+
+        it('gives up with captcha-timeout when nobody solves it', async () => {
+            const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning&captcha=unsolved'));
+
+            assert.equal(success, false);
+            assert.equal(server.submissions.length, 0);
+            assert.equal((await readSubmissions())[0].status, 'captcha-timeout');
+        });
+    });
+
+    it('trusts the submit response over the thank-you page', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning&result=mismatch'));
+
+        assert.equal(success, true);
+        const [record] = await readSubmissions();
+        assert.equal(record.status, 'already-entered');
+        assert.equal(record.evidence.fields.errorCode, 'DUPLICATE_ENTRY');
+    });
+
+    it('does not count an unrecognised result page as an entry', async () => {
+        const definition = fixtureSweepstakes('/landing?flow=returning&result=error');
+
+        assert.equal(await submitWayinEntry(definition), false);
+        assert.equal((await readSubmissions())[0].status, 'unknown');
+
+        // Still allowed to try again the same day
+        assert.equal(await submitWayinEntry(definition), false);
+        assert.equal(server.submissions.length, 2);
+    });
+
+    it('blocks a second entry on the same day', async () => {
+        assert.equal(await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning')), true);
+        assert.equal(await submitWayinEntry(fixtureSweepstakes('/landing?flow=returning')), false);
+        assert.equal(server.submissions.length, 1);
+    });
+
+    describe('browser reuse', () => {
+        afterEach(() => {
+            config.browser.persistentProfile = false;
+        });
+
+        it('enters every sweepstakes of a batch in one browser', async () => {
+            const definitions = [fixtureSweepstakes('/landing?flow=new'), { ...fixtureSweepstakes('/landing?flow=returning'), id: 'fixture-2' }];
+
+            await runBatch(definitions, async () => {
+                const browser = await acquireBrowser(definitions[0]);
+                await releaseBrowser();
+
+                for (const definition of definitions) {
+                    assert.equal(await submitWayinEntry(definition), true);
+                }
+
+                // Each entry closed its own tab but left the browser open
+                assert.equal(browser.connected, true);
+                assert.equal(await acquireBrowser(definitions[0]), browser);
+                await releaseBrowser();
+            });
+
+            assert.equal(server.submissions.length, 2);
+        });
+
+        it('keeps a browser profile per entrant', async () => {
+            config.browser.persistentProfile = true;
+
+            assert.equal(await submitWayinEntry(fixtureSweepstakes('/landing?flow=new')), true);
+            assert.equal(existsSync(`${config.paths.browserProfiles}/test.entrant@example.com`), true);
+        });
+    });
+
+    it('fills the form without submitting in dry-run mode', async () => {
+        const success = await submitWayinEntry(fixtureSweepstakes('/landing?flow=new'), true);
+
+        assert.equal(success, true);
+        assert.equal(server.submissions.length, 0);
+        assert.deepEqual(await readSubmissions(), []);
+    });
+
+    describe('sweepstakes discovery', () => {
+        const listingSweepstakes = (allowList = []) => ({
+            ...fixtureSweepstakes('/sweepstakes'),
+            id: 'listing',
+            name: 'Listing',
+            screenshotPrefix: 'listing',
+            discover: true,
+            allowList
+        });
+
+        it('finds the open sweepstakes with a Wayin form', async () => {
+            const found = await discoverSweepstakes(listingSweepstakes(), new Date('2026-06-01T12:00:00Z'));
+
+            assert.deepEqual(found.map(f => [f.slug, f.title, f.allowed]), [
+                ['summer-grilling', 'Summer Grilling Sweepstakes', true],
+                ['holiday-baking', 'Holiday Baking Giveaway', true]
+            ]);
+            assert.match(found[0].wayinUrl, /\/wayin\/form\?flow=returning/);
+            assert.equal(found[0].endDate, '2100-01-01T04:59:59.000Z');
+            assert.equal(found[0].rulesUrl, server.url('/sweepstakes/summer-grilling/official-rules'));
+        });
+
+        it('enters only allow-listed sweepstakes, each under its own ID', async () => {
+            const entries = await resolveSweepstakes(listingSweepstakes(['holiday-baking']));
+            assert.deepEqual(entries.map(e => e.id), ['listing-holiday-baking']);
+
+            assert.equal(await submitWayinEntry(entries[0]), true);
+            assert.equal((await readSubmissions())[0].site, 'listing-holiday-baking');
+        });
+    });
+
+    describe('scheduled retries', () => {
+        const retry = { maxAttempts: 2, backoffMinutes: 0.01, backoffMultiplier: 1, latestTime: '23:59' };
+
+        it('retries a missing iframe later the same day', async () => {
+            const result = await runScheduledEntry({ ...fixtureSweepstakes('/landing?frame=none'), retry });
+
+            assert.equal(result.status, 'iframe-missing');
+            await waitFor(async () => (await readSubmissions()).length === 2);
+            assert.deepEqual((await readSubmissions()).map(r => r.status), ['iframe-missing', 'iframe-missing']);
+        });
+
+        it('does not retry once the entry period is over', async () => {
+            const result = await runScheduledEntry({ ...fixtureSweepstakes('/landing?flow=closed'), retry });
+
+            assert.equal(result.status, 'entry-closed');
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            assert.equal((await readSubmissions()).length, 1);
+        });
+    });
+});
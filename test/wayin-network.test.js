@@ -0,0 +1,51 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractResponseFields, outcomeFromResponse } from '../src/wayin-network.js';
+
+const submitResponse = (status, body) => ({
+    method: 'POST',
+    url: 'https://xd.wayin.com/api/entry',
+    status,
+    fields: extractResponseFields(body)
+});
+
+describe('extractResponseFields', () => {
+    it('finds fields at the top level and one level down', () => {
+        assert.deepEqual(extractResponseFields({ isReturningUser: true }), { returningUser: true });
+        assert.deepEqual(extractResponseFields({ data: { entered: true } }), { accepted: true });
+    });
+
+    it('collects field-level errors', () => {
+        const fields = extractResponseFields({
+            success: false,
+            errors: [{ code: 'INVALID_ZIP', message: 'Please enter a valid ZIP code.' }]
+        });
+
+        assert.deepEqual(fields, {
+            accepted: false,
+            errorCode: 'INVALID_ZIP',
+            errorMessage: 'Please enter a valid ZIP code.'
+        });
+    });
+
+    it('ignores non-object bodies', () => {
+        assert.deepEqual(extractResponseFields('OK'), {});
+        assert.deepEqual(extractResponseFields(null), {});
+    });
+});
+
+describe('outcomeFromResponse', () => {
+    it('maps accepted and rejected entries to outcomes', () => {
+        assert.equal(outcomeFromResponse(submitResponse(200, { success: true })).status, 'confirmed');
+        assert.equal(outcomeFromResponse(submitResponse(200, { success: false, errorCode: 'DUPLICATE_ENTRY' })).status, 'already-entered');
+        assert.equal(outcomeFromResponse(submitResponse(403, { errorCode: 'RECAPTCHA_REQUIRED' })).status, 'captcha-blocked');
+        assert.equal(outcomeFromResponse(submitResponse(200, { success: false, error: { code: 'CONTEST_CLOSED' } })).status, 'entry-closed');
+    });
+
+    it('defers to the page when the response is inconclusive', () => {
+        assert.equal(outcomeFromResponse(undefined), null);
+        assert.equal(outcomeFromResponse(submitResponse(500, {})), null);
+        assert.equal(outcomeFromResponse(submitResponse(200, { ok: 1 })), null);
+    });
+});